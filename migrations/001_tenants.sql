@@ -0,0 +1,17 @@
+-- Clientes (tenants) da instância; o tenant "default" vem do .env e não tem linha aqui
+CREATE TABLE IF NOT EXISTS tenants (
+  id              TEXT PRIMARY KEY,
+  name            TEXT NOT NULL,
+  uazapi_base_url TEXT,
+  uazapi_token    TEXT UNIQUE,
+  instance_id     TEXT UNIQUE,
+  prompt          TEXT,
+  human_name      TEXT,
+  redirect_phone  TEXT,
+  sellers         JSONB,
+  media           JSONB NOT NULL DEFAULT '{}',
+  settings        JSONB NOT NULL DEFAULT '{}',
+  active          BOOLEAN NOT NULL DEFAULT true,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
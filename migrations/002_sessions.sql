@@ -0,0 +1,24 @@
+-- Sessões por tenant + número (estágio e última atividade para o /admin)
+CREATE TABLE IF NOT EXISTS sessions (
+  number           TEXT PRIMARY KEY,
+  history          JSONB NOT NULL DEFAULT '[]',
+  last_response_ts TIMESTAMPTZ
+);
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS stage TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+UPDATE sessions SET updated_at = last_response_ts WHERE updated_at IS NULL;
+CREATE INDEX IF NOT EXISTS sessions_updated_at_idx ON sessions (updated_at DESC);
+
+-- Multi-tenant: sessões existentes ficam no tenant "default"
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_index i
+      JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+     WHERE i.indrelid = 'sessions'::regclass AND i.indisprimary AND a.attname = 'tenant_id'
+  ) THEN
+    ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_pkey;
+    ALTER TABLE sessions ADD PRIMARY KEY (tenant_id, number);
+  END IF;
+END $$;
@@ -0,0 +1,40 @@
+-- Uma linha por mensagem da conversa (ver conversationStore.js)
+CREATE TABLE IF NOT EXISTS messages (
+  id              BIGSERIAL PRIMARY KEY,
+  tenant_id       TEXT NOT NULL DEFAULT 'default',
+  number          TEXT NOT NULL,
+  role            TEXT NOT NULL,
+  content         TEXT NOT NULL DEFAULT '',
+  direction       TEXT NOT NULL,
+  wa_message_id   TEXT,
+  tool_name       TEXT,
+  outbound_id     BIGINT,
+  delivery_status TEXT,
+  metadata        JSONB NOT NULL DEFAULT '{}',
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+  status_at       TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS messages_conversation_idx ON messages (tenant_id, number, id);
+CREATE INDEX IF NOT EXISTS messages_meta_idx ON messages (tenant_id, number, id) WHERE role = 'meta';
+CREATE INDEX IF NOT EXISTS messages_outbound_idx ON messages (outbound_id) WHERE outbound_id IS NOT NULL;
+
+-- sessions.history (JSON) → messages, na ordem original; o JSON é esvaziado
+-- no mesmo statement
+WITH moved AS (
+  INSERT INTO messages (tenant_id, number, role, content, direction, metadata, created_at)
+  SELECT s.tenant_id, s.number,
+         COALESCE(e.value->>'role', 'user'),
+         COALESCE(e.value->>'content', ''),
+         CASE e.value->>'role' WHEN 'user' THEN 'inbound' WHEN 'assistant' THEN 'outbound' ELSE 'internal' END,
+         e.value - 'role' - 'content',
+         COALESCE(s.updated_at, s.last_response_ts, now())
+    FROM sessions s
+    CROSS JOIN LATERAL jsonb_array_elements(s.history) WITH ORDINALITY AS e(value, ord)
+   WHERE jsonb_typeof(s.history) = 'array'
+     AND jsonb_typeof(e.value) = 'object'
+   ORDER BY s.tenant_id, s.number, e.ord
+  RETURNING tenant_id, number
+)
+UPDATE sessions SET history = '[]'
+ WHERE (tenant_id, number) IN (SELECT DISTINCT tenant_id, number FROM moved);
@@ -0,0 +1,33 @@
+-- Leads encaminhados ao vendedor (registro estruturado + status no CRM)
+CREATE TABLE IF NOT EXISTS leads (
+  number            TEXT PRIMARY KEY,
+  name              TEXT,
+  responsible_name  TEXT,
+  responsible_phone TEXT,
+  segment           TEXT,
+  stage             TEXT,
+  handoff_at        TIMESTAMPTZ,
+  summary           TEXT,
+  crm_status        TEXT,
+  crm_attempts      INTEGER NOT NULL DEFAULT 0,
+  crm_last_error    TEXT,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS leads_handoff_at_idx ON leads (handoff_at DESC);
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS ai_summary JSONB;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS seller_id TEXT;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS seller_name TEXT;
+
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_index i
+      JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+     WHERE i.indrelid = 'leads'::regclass AND i.indisprimary AND a.attname = 'tenant_id'
+  ) THEN
+    ALTER TABLE leads DROP CONSTRAINT IF EXISTS leads_pkey;
+    ALTER TABLE leads ADD PRIMARY KEY (tenant_id, number);
+  END IF;
+END $$;
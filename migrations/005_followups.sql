@@ -0,0 +1,18 @@
+-- Tentativas de follow-up por número
+CREATE TABLE IF NOT EXISTS followups (
+  number          TEXT PRIMARY KEY,
+  attempts        INTEGER NOT NULL DEFAULT 0,
+  last_attempt_at TIMESTAMPTZ
+);
+
+ALTER TABLE followups ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_index i
+      JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+     WHERE i.indrelid = 'followups'::regclass AND i.indisprimary AND a.attname = 'tenant_id'
+  ) THEN
+    ALTER TABLE followups DROP CONSTRAINT IF EXISTS followups_pkey;
+    ALTER TABLE followups ADD PRIMARY KEY (tenant_id, number);
+  END IF;
+END $$;
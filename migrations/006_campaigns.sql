@@ -0,0 +1,28 @@
+-- Campanhas de abertura e seus leads
+CREATE TABLE IF NOT EXISTS campaigns (
+  id              SERIAL PRIMARY KEY,
+  name            TEXT NOT NULL,
+  opening_message TEXT NOT NULL,
+  status          TEXT NOT NULL DEFAULT 'active',
+  start_at        TIMESTAMPTZ,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS campaign_leads (
+  id          SERIAL PRIMARY KEY,
+  campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+  number      TEXT NOT NULL,
+  name        TEXT,
+  segment     TEXT,
+  status      TEXT NOT NULL DEFAULT 'pending',
+  attempts    INTEGER NOT NULL DEFAULT 0,
+  last_error  TEXT,
+  sent_at     TIMESTAMPTZ,
+  replied_at  TIMESTAMPTZ,
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (campaign_id, number)
+);
+
+CREATE INDEX IF NOT EXISTS campaign_leads_status_idx ON campaign_leads (status, campaign_id);
+CREATE INDEX IF NOT EXISTS campaign_leads_number_idx ON campaign_leads (number);
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';
@@ -0,0 +1,30 @@
+-- Buffer de mensagens recebidas (agrupa mensagens em sequência do mesmo número)
+CREATE TABLE IF NOT EXISTS message_buffer (
+  number        TEXT PRIMARY KEY,
+  combined_text TEXT NOT NULL DEFAULT '',
+  last_raw      JSONB,
+  message_count INTEGER NOT NULL DEFAULT 0,
+  flush_at      TIMESTAMPTZ NOT NULL,
+  locked_by     TEXT,
+  locked_until  TIMESTAMPTZ,
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Mensagens que chegam enquanto o número está travado (resposta sendo gerada)
+ALTER TABLE message_buffer ADD COLUMN IF NOT EXISTS queued_text TEXT NOT NULL DEFAULT '';
+ALTER TABLE message_buffer ADD COLUMN IF NOT EXISTS queued_raw JSONB;
+ALTER TABLE message_buffer ADD COLUMN IF NOT EXISTS queued_count INTEGER NOT NULL DEFAULT 0;
+CREATE INDEX IF NOT EXISTS message_buffer_flush_idx ON message_buffer (flush_at);
+
+-- Multi-tenant: buffer por tenant + número
+ALTER TABLE message_buffer ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_index i
+      JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+     WHERE i.indrelid = 'message_buffer'::regclass AND i.indisprimary AND a.attname = 'tenant_id'
+  ) THEN
+    ALTER TABLE message_buffer DROP CONSTRAINT IF EXISTS message_buffer_pkey;
+    ALTER TABLE message_buffer ADD PRIMARY KEY (tenant_id, number);
+  END IF;
+END $$;
@@ -0,0 +1,36 @@
+-- Fila durável de saída e dead-letter (ver outbox.js)
+CREATE TABLE IF NOT EXISTS outbound_messages (
+  id                   BIGSERIAL PRIMARY KEY,
+  number               TEXT NOT NULL,
+  kind                 TEXT NOT NULL,
+  payload              JSONB NOT NULL,
+  paced                BOOLEAN NOT NULL DEFAULT true,
+  opt_out_confirmation BOOLEAN NOT NULL DEFAULT false,
+  status               TEXT NOT NULL DEFAULT 'pending',
+  attempts             INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+  locked_until         TIMESTAMPTZ,
+  last_error           TEXT,
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT now(),
+  sent_at              TIMESTAMPTZ
+);
+
+ALTER TABLE outbound_messages ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';
+DROP INDEX IF EXISTS outbound_messages_open_idx;
+CREATE INDEX IF NOT EXISTS outbound_messages_open_tenant_idx
+  ON outbound_messages (tenant_id, number, id) WHERE status IN ('pending', 'sending');
+
+CREATE TABLE IF NOT EXISTS outbound_dead_letters (
+  id          BIGSERIAL PRIMARY KEY,
+  message_id  BIGINT NOT NULL,
+  number      TEXT NOT NULL,
+  kind        TEXT NOT NULL,
+  payload     JSONB NOT NULL,
+  paced       BOOLEAN NOT NULL DEFAULT true,
+  attempts    INTEGER NOT NULL,
+  last_error  TEXT,
+  created_at  TIMESTAMPTZ NOT NULL,
+  failed_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE outbound_dead_letters ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';
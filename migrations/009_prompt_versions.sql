@@ -0,0 +1,17 @@
+-- Versões de prompt por tenant (ver prompts.js)
+CREATE TABLE IF NOT EXISTS prompt_versions (
+  id               BIGSERIAL PRIMARY KEY,
+  tenant_id        TEXT NOT NULL DEFAULT 'default',
+  version          INTEGER NOT NULL,
+  content          TEXT NOT NULL,
+  note             TEXT,
+  created_by       TEXT,
+  active           BOOLEAN NOT NULL DEFAULT false,
+  previous_version INTEGER,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  activated_at     TIMESTAMPTZ,
+  UNIQUE (tenant_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS prompt_versions_active_idx
+  ON prompt_versions (tenant_id) WHERE active;
@@ -0,0 +1,27 @@
+-- Testes A/B de prompt/abertura (ver experiments.js)
+CREATE TABLE IF NOT EXISTS prompt_variants (
+  tenant_id      TEXT NOT NULL DEFAULT 'default',
+  id             TEXT NOT NULL,
+  name           TEXT,
+  prompt_version INTEGER,
+  opener         TEXT,
+  weight         INTEGER NOT NULL DEFAULT 1,
+  active         BOOLEAN NOT NULL DEFAULT true,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (tenant_id, id)
+);
+
+CREATE TABLE IF NOT EXISTS variant_assignments (
+  tenant_id    TEXT NOT NULL DEFAULT 'default',
+  number       TEXT NOT NULL,
+  variant_id   TEXT NOT NULL,
+  assigned_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  replied_at   TIMESTAMPTZ,
+  exploring_at TIMESTAMPTZ,
+  handoff_at   TIMESTAMPTZ,
+  rejected_at  TIMESTAMPTZ,
+  PRIMARY KEY (tenant_id, number)
+);
+
+CREATE INDEX IF NOT EXISTS variant_assignments_variant_idx ON variant_assignments (tenant_id, variant_id);
@@ -0,0 +1,14 @@
+-- Buckets de envio e contadores diários (ver rateLimiter.js)
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+  key          TEXT PRIMARY KEY,
+  tokens       DOUBLE PRECISION NOT NULL DEFAULT 0,
+  next_slot_at TIMESTAMPTZ,
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS rate_limit_daily (
+  day   DATE NOT NULL,
+  key   TEXT NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (day, key)
+);
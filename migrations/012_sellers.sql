@@ -0,0 +1,20 @@
+-- Vendedor atribuído a cada número (ver sellers.js)
+CREATE TABLE IF NOT EXISTS seller_assignments (
+  number      TEXT PRIMARY KEY,
+  seller_id   TEXT NOT NULL,
+  assigned_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS seller_assignments_seller_idx ON seller_assignments (seller_id);
+
+ALTER TABLE seller_assignments ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_index i
+      JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+     WHERE i.indrelid = 'seller_assignments'::regclass AND i.indisprimary AND a.attname = 'tenant_id'
+  ) THEN
+    ALTER TABLE seller_assignments DROP CONSTRAINT IF EXISTS seller_assignments_pkey;
+    ALTER TABLE seller_assignments ADD PRIMARY KEY (tenant_id, number);
+  END IF;
+END $$;
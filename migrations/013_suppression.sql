@@ -0,0 +1,8 @@
+-- Lista de supressão (opt-out)
+CREATE TABLE IF NOT EXISTS suppressed_numbers (
+  number            TEXT PRIMARY KEY,
+  reason            TEXT,
+  source            TEXT NOT NULL DEFAULT 'keyword',
+  confirmation_sent BOOLEAN NOT NULL DEFAULT false,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT now()
+);
@@ -0,0 +1,7 @@
+-- Message ids de webhook já processados (deduplicação, ver webhookGuard.js)
+CREATE TABLE IF NOT EXISTS processed_messages (
+  id          TEXT PRIMARY KEY,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS processed_messages_received_idx ON processed_messages (received_at);
@@ -0,0 +1,12 @@
+-- Lista de supressão por tenant (cada instância tem seus opt-outs)
+ALTER TABLE suppressed_numbers ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_index i
+      JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+     WHERE i.indrelid = 'suppressed_numbers'::regclass AND i.indisprimary AND a.attname = 'tenant_id'
+  ) THEN
+    ALTER TABLE suppressed_numbers DROP CONSTRAINT IF EXISTS suppressed_numbers_pkey;
+    ALTER TABLE suppressed_numbers ADD PRIMARY KEY (tenant_id, number);
+  END IF;
+END $$;
@@ -0,0 +1,8 @@
+-- Arquivos gerados para envio (nota de voz TTS): a fila guarda só o id (payload.mediaId)
+CREATE TABLE IF NOT EXISTS outbound_media (
+  id         BIGSERIAL PRIMARY KEY,
+  tenant_id  TEXT NOT NULL DEFAULT 'default',
+  mimetype   TEXT,
+  data       BYTEA NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
@@ -0,0 +1,6 @@
+-- Leads de campanha por tenant (herdado da campanha), para filtrar sem JOIN
+ALTER TABLE campaign_leads ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';
+UPDATE campaign_leads l SET tenant_id = c.tenant_id
+  FROM campaigns c
+ WHERE c.id = l.campaign_id AND l.tenant_id <> c.tenant_id;
+CREATE INDEX IF NOT EXISTS campaign_leads_tenant_number_idx ON campaign_leads (tenant_id, number);
@@ -0,0 +1,400 @@
+// src/admin.js
+
+/**
+ * Rotas administrativas (montadas em /admin pelo app.js).
+ *
+ * Autenticação por token fixo em ADMIN_TOKEN, enviado como
+ * `Authorization: Bearer <token>` ou no header `x-admin-token`.
+ * Sem ADMIN_TOKEN configurado as rotas ficam desabilitadas (503).
+ *
+ * O tenant das rotas é escolhido pelo header `x-tenant` (ou `?tenant=`);
+ * sem ele, vale o tenant padrão.
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+import {
+  parseLeadList,
+  createCampaign,
+  listCampaigns,
+  getCampaign,
+  setCampaignStatus,
+} from './campaigns.js';
+import { listSuppressed, suppressNumber, unsuppressNumber } from './suppression.js';
+import { normalizeNumber } from './uazapiClient.js';
+import { findSession, resetHistory, saveSessionState, listSessions } from './conversationStore.js';
+import { STAGES, loadSession } from './stateMachine.js';
+import { pauseChat, resumeChat } from './humanTakeover.js';
+import { listLeads, getLead, toLeadRecord } from './leads.js';
+import { sendLeadToCrm, isCrmWebhookEnabled } from './crmWebhook.js';
+import { listOutbound, listDeadLetters, retryDeadLetter, deleteDeadLetter } from './outbox.js';
+import { getRateLimitMetrics } from './rateLimiter.js';
+import { getStorageHealth, checkDatabaseHealth } from './storage.js';
+import { getTenant, runWithTenant, listTenants, upsertTenant, publicTenant } from './tenants.js';
+import {
+  getActivePrompt,
+  listPromptVersions,
+  getPromptVersion,
+  createPromptVersion,
+  activatePromptVersion,
+  rollbackPrompt,
+  diffPromptVersions,
+} from './prompts.js';
+import { upsertVariant, getVariantMetrics } from './experiments.js';
+import { listMediaAssets } from './media.js';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+/** Middleware de autenticação das rotas /admin */
+export function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'ADMIN_TOKEN não configurado — rotas admin desabilitadas.' });
+  }
+  const auth = String(req.get('authorization') || '');
+  const token = auth.toLowerCase().startsWith('bearer ')
+    ? auth.slice(7).trim()
+    : String(req.get('x-admin-token') || '');
+  if (!token || !safeEqual(token, ADMIN_TOKEN)) {
+    console.warn('🔒 Admin: acesso negado', { ip: req.ip, path: req.originalUrl });
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+  return next();
+}
+
+/** Envolve handlers async para devolver 500 em vez de derrubar a requisição */
+const wrap = (fn) => async (req, res) => {
+  try {
+    await fn(req, res);
+  } catch (err) {
+    console.error('❌ Admin error:', req.method, req.originalUrl, err?.message || err);
+    res.status(err?.status || 500).json({ error: err?.message || 'internal error' });
+  }
+};
+
+export const adminRouter = express.Router();
+
+// Tenant das rotas admin (x-tenant / ?tenant=)
+adminRouter.use(async (req, res, next) => {
+  const id = String(req.get('x-tenant') || req.query.tenant || '').trim();
+  if (!id) return next();
+  const tenant = await getTenant(id);
+  if (!tenant) return res.status(404).json({ error: `tenant ${id} não encontrado` });
+  return runWithTenant(tenant, () => next());
+});
+
+function parseDateParam(v, name) {
+  if (v == null || v === '') return undefined;
+  const d = new Date(v);
+  if (isNaN(d.getTime())) {
+    const err = new Error(`${name} inválido (use ISO 8601)`);
+    err.status = 400;
+    throw err;
+  }
+  return d;
+}
+
+// ===== SESSÕES =====
+
+/** Lista sessões: ?page, ?pageSize, ?stage, ?activeSince, ?activeBefore */
+adminRouter.get('/sessions', wrap(async (req, res) => {
+  const stage = req.query.stage ? String(req.query.stage).toUpperCase() : undefined;
+  if (stage && !STAGES[stage]) return res.status(400).json({ error: `stage inválido: ${stage}` });
+  res.json(await listSessions({
+    page: req.query.page,
+    pageSize: req.query.pageSize,
+    stage,
+    activeSince: parseDateParam(req.query.activeSince, 'activeSince'),
+    activeBefore: parseDateParam(req.query.activeBefore, 'activeBefore'),
+  }));
+}));
+
+/** Histórico completo + estado atual de um número */
+adminRouter.get('/sessions/:number', wrap(async (req, res) => {
+  const number = normalizeNumber(req.params.number);
+  const session = await findSession(number);
+  if (!session) return res.status(404).json({ error: 'sessão não encontrada' });
+  res.json({ number, state: await loadSession(number), history: session.history });
+}));
+
+/** Reseta a sessão (apaga histórico e estado) */
+adminRouter.delete('/sessions/:number', wrap(async (req, res) => {
+  const number = normalizeNumber(req.params.number);
+  await resetHistory(number);
+  console.log('🧹 Admin: sessão resetada', number);
+  res.json({ ok: true, number });
+}));
+
+/**
+ * Ajusta o estado manualmente. O corpo é mesclado ao estado atual; `stage`,
+ * se enviado, precisa ser um dos STAGES. Ignora as regras de transição.
+ */
+adminRouter.patch('/sessions/:number/state', wrap(async (req, res) => {
+  const number = normalizeNumber(req.params.number);
+  const patch = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : null;
+  if (!patch) return res.status(400).json({ error: 'corpo JSON obrigatório' });
+  if (patch.stage !== undefined && !STAGES[patch.stage]) {
+    return res.status(400).json({ error: `stage inválido: ${patch.stage}` });
+  }
+  const current = await loadSession(number);
+  const at = new Date().toISOString();
+  const next = { ...current, ...patch };
+  if (patch.stage && patch.stage !== current.stage) {
+    next.stageChangedAt = at;
+    next.lastTransition = { from: current.stage, to: patch.stage, reason: 'admin', at };
+  }
+  await saveSessionState(number, next);
+  console.log('✏️ Admin: estado ajustado', number, Object.keys(patch));
+  res.json({ number, state: next });
+}));
+
+// ===== CAMPANHAS =====
+
+adminRouter.get('/campaigns', wrap(async (_req, res) => {
+  res.json({ campaigns: await listCampaigns() });
+}));
+
+adminRouter.get('/campaigns/:id', wrap(async (req, res) => {
+  const campaign = await getCampaign(req.params.id);
+  if (!campaign) return res.status(404).json({ error: 'campanha não encontrada' });
+  res.json(campaign);
+}));
+
+/**
+ * Cria campanha a partir de JSON ou CSV.
+ * - JSON: { name, openingMessage?, startAt?, leads: [{ number, name, segment }] } (ou `csv` no lugar de `leads`)
+ * - CSV (Content-Type text/csv): colunas number,name,segment; name/openingMessage/startAt via query string
+ */
+adminRouter.post('/campaigns', wrap(async (req, res) => {
+  const isJson = req.body && typeof req.body === 'object';
+  const meta = isJson && !Array.isArray(req.body) ? req.body : req.query;
+  const leads = parseLeadList(
+    isJson ? (Array.isArray(req.body) ? req.body : req.body.leads ?? req.body.csv) : req.body
+  );
+  if (!leads.length) return res.status(400).json({ error: 'nenhum lead válido (precisa de number)' });
+  const campaign = await createCampaign({
+    name: meta.name,
+    openingMessage: meta.openingMessage,
+    startAt: meta.startAt,
+    leads,
+  });
+  res.status(201).json(campaign);
+}));
+
+adminRouter.post('/campaigns/:id/pause', wrap(async (req, res) => {
+  const ok = await setCampaignStatus(req.params.id, 'paused');
+  res.status(ok ? 200 : 404).json({ ok });
+}));
+
+adminRouter.post('/campaigns/:id/resume', wrap(async (req, res) => {
+  const ok = await setCampaignStatus(req.params.id, 'active');
+  res.status(ok ? 200 : 404).json({ ok });
+}));
+
+/** Pausa a Luna no chat (humano assume). Corpo opcional: { hours } */
+adminRouter.post('/sessions/:number/pause', wrap(async (req, res) => {
+  const number = normalizeNumber(req.params.number);
+  const hours = req.body?.hours;
+  const state = await pauseChat(number, { by: 'admin', ...(hours != null ? { hours } : {}) });
+  res.json({ number, state });
+}));
+
+/** Devolve o chat para a Luna */
+adminRouter.post('/sessions/:number/resume', wrap(async (req, res) => {
+  const number = normalizeNumber(req.params.number);
+  res.json({ number, state: await resumeChat(number, { by: 'admin' }) });
+}));
+
+// ===== LISTA DE SUPRESSÃO (OPT-OUT) =====
+
+adminRouter.get('/suppressions', wrap(async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  res.json(await listSuppressed({ limit, offset }));
+}));
+
+adminRouter.post('/suppressions', wrap(async (req, res) => {
+  const number = normalizeNumber(req.body?.number || '');
+  if (!number) return res.status(400).json({ error: 'number obrigatório' });
+  await suppressNumber(number, { source: 'admin', reason: req.body?.reason || '' });
+  res.status(201).json({ ok: true, number });
+}));
+
+adminRouter.delete('/suppressions/:number', wrap(async (req, res) => {
+  const removed = await unsuppressNumber(req.params.number);
+  res.status(removed ? 200 : 404).json({ ok: removed });
+}));
+
+// ===== LEADS ENCAMINHADOS =====
+
+adminRouter.get('/leads', wrap(async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  res.json(await listLeads({ limit, offset }));
+}));
+
+adminRouter.get('/leads/:number', wrap(async (req, res) => {
+  const lead = await getLead(req.params.number);
+  if (!lead) return res.status(404).json({ error: 'lead não encontrado' });
+  res.json(lead);
+}));
+
+/** Reenvia o lead ao CRM (ex.: depois de uma falha) */
+adminRouter.post('/leads/:number/crm', wrap(async (req, res) => {
+  if (!isCrmWebhookEnabled()) return res.status(409).json({ error: 'CRM_WEBHOOK_URL não configurado' });
+  const lead = await getLead(req.params.number);
+  if (!lead) return res.status(404).json({ error: 'lead não encontrado' });
+  res.json({ delivered: await sendLeadToCrm(toLeadRecord(lead)) });
+}));
+
+// ===== FILA DE SAÍDA =====
+
+/** Fila de saída: ?status (pending|sending|sent|cancelled), ?number, ?limit, ?offset */
+adminRouter.get('/outbox', wrap(async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  res.json(await listOutbound({
+    status: req.query.status ? String(req.query.status) : undefined,
+    number: req.query.number ? String(req.query.number) : undefined,
+    limit,
+    offset,
+  }));
+}));
+
+adminRouter.get('/outbox/dead-letters', wrap(async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  res.json(await listDeadLetters({ limit, offset }));
+}));
+
+/** Devolve a mensagem para a fila (vai para o fim da fila do número) */
+adminRouter.post('/outbox/dead-letters/:id/retry', wrap(async (req, res) => {
+  const id = await retryDeadLetter(Number(req.params.id));
+  if (!id) return res.status(404).json({ error: 'mensagem não encontrada' });
+  res.json({ ok: true, id });
+}));
+
+adminRouter.delete('/outbox/dead-letters/:id', wrap(async (req, res) => {
+  const removed = await deleteDeadLetter(Number(req.params.id));
+  res.status(removed ? 200 : 404).json({ ok: removed });
+}));
+
+// ===== LIMITES DE ENVIO =====
+
+/** Uso atual do bucket global, do teto diário de conversas novas e do espaçamento */
+adminRouter.get('/rate-limits', wrap(async (_req, res) => {
+  res.json(await getRateLimitMetrics());
+}));
+
+// ===== ARMAZENAMENTO =====
+
+/** Backend ativo (postgres | memory), saúde de cada um e pendências em memória; ?check=1 roda um probe antes */
+adminRouter.get('/storage', wrap(async (req, res) => {
+  if (req.query.check) await checkDatabaseHealth();
+  res.json(getStorageHealth());
+}));
+
+// ===== TENANTS =====
+
+adminRouter.get('/tenants', wrap(async (_req, res) => {
+  res.json((await listTenants()).map(publicTenant));
+}));
+
+/** Mídias nomeadas do tenant (send_video etc.); edite via PUT /tenants/:id { media } */
+adminRouter.get('/media', wrap(async (_req, res) => {
+  res.json({ assets: listMediaAssets() });
+}));
+
+/** Cria/atualiza um tenant (campos omitidos não mudam) */
+adminRouter.put('/tenants/:id', wrap(async (req, res) => {
+  const id = String(req.params.id || '').trim().toLowerCase();
+  if (!/^[a-z0-9_-]{2,40}$/.test(id)) {
+    return res.status(400).json({ error: 'id inválido (use a-z, 0-9, "-" ou "_")' });
+  }
+  const body = req.body || {};
+  if (body.sellers != null && !Array.isArray(body.sellers)) {
+    return res.status(400).json({ error: 'sellers deve ser uma lista' });
+  }
+  res.json(publicTenant(await upsertTenant(id, body)));
+}));
+
+// ===== PROMPTS VERSIONADOS =====
+
+adminRouter.get('/prompts', wrap(async (_req, res) => {
+  const active = await getActivePrompt();
+  res.json({ activeVersion: active.version, versions: await listPromptVersions() });
+}));
+
+/** Diff entre versões: ?from=3&to=4 (`default` = prompt do .env/embutido; `to` padrão = ativa) */
+adminRouter.get('/prompts/diff', wrap(async (req, res) => {
+  if (!req.query.from) return res.status(400).json({ error: 'from obrigatório' });
+  const to = req.query.to || (await getActivePrompt()).version;
+  const diff = await diffPromptVersions(String(req.query.from), String(to));
+  if (!diff) return res.status(404).json({ error: 'versão não encontrada' });
+  res.json(diff);
+}));
+
+adminRouter.get('/prompts/:version', wrap(async (req, res) => {
+  const version = await getPromptVersion(req.params.version);
+  if (!version) return res.status(404).json({ error: 'versão não encontrada' });
+  res.json(version);
+}));
+
+/**
+ * Cria uma versão: { content, note?, activate? }. Com { fromCurrent: true }
+ * e sem content, copia o prompt em uso (útil para versionar o PRODUCT_PROMPT).
+ */
+adminRouter.post('/prompts', wrap(async (req, res) => {
+  const body = req.body || {};
+  const content = body.content ?? (body.fromCurrent ? (await getActivePrompt()).content : '');
+  if (!String(content || '').trim()) return res.status(400).json({ error: 'content obrigatório' });
+  const version = await createPromptVersion(content, {
+    note: body.note,
+    createdBy: body.createdBy,
+    activate: body.activate === true,
+  });
+  res.status(201).json(version);
+}));
+
+adminRouter.post('/prompts/:version/activate', wrap(async (req, res) => {
+  const version = await activatePromptVersion(req.params.version);
+  if (!version) return res.status(404).json({ error: 'versão não encontrada' });
+  res.json(version);
+}));
+
+/** Volta para a versão ativa antes da atual (ou para o prompt default) */
+adminRouter.post('/prompts/rollback', wrap(async (_req, res) => {
+  res.json(await rollbackPrompt());
+}));
+
+// ===== TESTES A/B =====
+
+/** Variantes com o funil de cada uma (atribuídos, replied, exploring, handoff, rejected) */
+adminRouter.get('/variants', wrap(async (_req, res) => {
+  res.json({ variants: await getVariantMetrics() });
+}));
+
+/**
+ * Cria/atualiza uma variante: { name?, promptVersion?, opener?, weight?, active? }.
+ * promptVersion/opener null voltam ao prompt ativo / abertura da campanha.
+ */
+adminRouter.put('/variants/:id', wrap(async (req, res) => {
+  const id = String(req.params.id || '').trim().toLowerCase();
+  if (!/^[a-z0-9_-]{1,40}$/.test(id)) {
+    return res.status(400).json({ error: 'id inválido (use a-z, 0-9, "-" ou "_")' });
+  }
+  const body = req.body || {};
+  if (body.weight != null && !(Number(body.weight) >= 0)) {
+    return res.status(400).json({ error: 'weight deve ser um número >= 0' });
+  }
+  if (body.promptVersion != null && !(await getPromptVersion(body.promptVersion))) {
+    return res.status(400).json({ error: `prompt v${body.promptVersion} não existe` });
+  }
+  res.json(await upsertVariant(id, body));
+}));
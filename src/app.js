@@ -9,23 +9,63 @@
  * - ❌ Removida a caixinha "automática" com texto fixo no app.js. Agora a IA (prompt) decide quando/como enviar o menu (send_menu).
  * - ✅ Buffer/merge em TODA a conversa: removidos todos os usos de `bypassBuffer`.
  * - ▶️ Clique de botão continua imediato (sem debounce) para boa UX.
- * - 🎬 `send_video` aceita `followup` vindo do prompt; fallback curto não cita Jonas.
+ * - 🎬 `send_video` aceita `followup` vindo do prompt; fallback curto não cita Jonas. Vídeos
+ *   nomeados vêm do registro de mídias (media.js) e cada um sai uma vez por conversa (videoSent).
+ * - 🔀 Estágio da conversa (INTRO/EXPLORING/WAITING_EMAIL/CLOSED_*) controlado no servidor (stateMachine.js).
+ * - 🗄️ Buffer de agrupamento plugável (memória ou PostgreSQL) em messageBuffer.js.
+ * - 📤 Envios passam pela fila durável (outbox.js): ordem por número, retry e dead-letter.
+ * - 🏢 Multi-tenant: cada instância Uazapi tem prompt, vendedores e mídias próprios (tenants.js).
+ * - 🗣️ Áudio do lead pode ser respondido com nota de voz (VOICE_REPLIES / settings.voiceReplies).
  */
 
 import express from 'express';
 import { Buffer } from 'buffer';
 import { PORT } from './config.js';
+import { renderPrompt, buildSessionContext } from './prompt.js';
+import { resolvePrompt } from './experiments.js';
 import {
   getHistory,
   appendToHistory,
   resetHistory,
+  saveSessionState,
 } from './conversationStore.js';
-import { queueMessage, queueMedia, queueMenu } from './queue.js';
-import { generateReplyWithTools, transcribeAudio } from './openaiClient.js';
+import { queueMessage, queueMedia, queueMenu, queueVoiceNote } from './queue.js';
+import { generateReplyWithTools, transcribeAudio, summarizeConversation, isTtsAvailable } from './openaiClient.js';
+import { STAGES, advanceOnInbound, loadSession, transitionStage, canTransition, parseLeadUpdate } from './stateMachine.js';
+import { adminRouter, requireAdmin } from './admin.js';
+import { markCampaignReply, startCampaignScheduler } from './campaigns.js';
+import { resetFollowups, startFollowupScheduler } from './followups.js';
+import { detectOptOut, isSuppressed, suppressNumber, claimOptOutConfirmation } from './suppression.js';
+import {
+  isPaused,
+  isPauseExpired,
+  pauseChat,
+  resumeChat,
+  parseOperatorCommands,
+  runOperatorCommands,
+} from './humanTakeover.js';
+import { upsertLead, toLeadRecord, buildTranscriptSummary, formatLeadSummary } from './leads.js';
+import { sendLeadToCrm } from './crmWebhook.js';
+import { assignSeller, previewSeller, isSellerNumber } from './sellers.js';
+import { webhookAuth, webhookMessageId, isDuplicateMessage, recordMessageId, releaseMessageId } from './webhookGuard.js';
+import { createMessageBuffer } from './messageBuffer.js';
+import { startOutboxWorker, markOptOutConfirmation } from './outbox.js';
+import { ensureSchema } from './migrations.js';
+import { startStorageMonitor } from './storage.js';
+import { currentTenant, resolveWebhookTenant, runWithTenant } from './tenants.js';
+import { listMediaAssets, getMediaAsset } from './media.js';
+import { detectInboundMedia, readInboundMedia } from './mediaInput.js';
 import { normalizeNumber, downloadMessageMedia, setTypingStatus } from './uazapiClient.js';
 
 const app = express();
 
+// Atrás de proxy (Railway/Render/Nginx) o IP real vem no X-Forwarded-For
+// — necessário para WEBHOOK_IP_ALLOWLIST. Aceita "true", nº de saltos ou lista de IPs.
+if (process.env.TRUST_PROXY) {
+  const tp = process.env.TRUST_PROXY;
+  app.set('trust proxy', tp === 'true' ? true : /^\d+$/.test(tp) ? Number(tp) : tp);
+}
+
 // ======= LOG CONFIG =======
 const LOG_TRANSCR = (process.env.LOG_TRANSCR ?? '1') !== '0';
 const LOG_PREVIEW_LEN = Number(process.env.LOG_PREVIEW_LEN || 160);
@@ -47,12 +87,21 @@ app.use(express.text({ type: '*/*', limit: '5mb' }));          // text/plain, et
 // Agrupa mensagens consecutivas do usuário para evitar que a IA responda
 // a cada mensagem separadamente. Se o usuário mandar 3 mensagens em 7s,
 // a Luna espera o tempo acabar e responde todas de uma vez.
+// O armazenamento é plugável (BUFFER_BACKEND=memory|postgres, ver messageBuffer.js);
+// a instância é criada junto da rota do webhook.
 const USER_MERGE_WINDOW_MS = 7000; // 7 segundos
-const pendingByUser = new Map(); // number -> { combinedText, lastRaw, timer, processing, messageCount }
 
 // Se true, botões também passam pelo buffer (default: false para melhor UX)
 const BUFFER_BUTTONS = (process.env.BUFFER_BUTTONS || 'false').toLowerCase() === 'true';
 
+// Confirmação única enviada a quem pede opt-out (depois disso, silêncio)
+const OPT_OUT_CONFIRMATION = process.env.OPT_OUT_CONFIRMATION
+  || 'Pronto! Não vou mais te enviar mensagens. Se mudar de ideia, é só chamar.';
+
+// Responder áudio com áudio (PTT). Padrão do tenant padrão; outros tenants
+// usam settings.voiceReplies (e settings.ttsVoice para a voz).
+const VOICE_REPLIES = (process.env.VOICE_REPLIES || 'false').toLowerCase() === 'true';
+
 // --- Anti-duplicação de caixinha (menu) enviada pela IA ---
 const MENU_DEDUP_WINDOW_MS = Number(process.env.MENU_DEDUP_WINDOW_MS || 120000); // 2 min
 const lastMenuAt = new Map(); // number -> timestamp
@@ -329,8 +378,8 @@ function deepFindAliases(obj) {
   }
   if (!foundType && cloudMsg?.type) foundType = cloudMsg.type;
 
-  // Normaliza "sim/nao" digitados como botão
-  if (foundText && foundType !== 'button') {
+  // Normaliza "sim/nao" digitados como botão (pedido de opt-out fica com o texto original)
+  if (foundText && foundType !== 'button' && !detectOptOut(foundText)) {
     const ali = canonicalizeMenuChoice(foundText);
     if (ali.isButton) {
       foundType = 'button';
@@ -371,47 +420,71 @@ function extractPayload(raw) {
     });
   }
 
+  // Imagem/documento (mediaInput.js): não podem cair no fluxo de áudio abaixo
+  const media = detectInboundMedia(root);
+
   return {
     ...base,
     contactName: c.name,
     contactPhone: c.phone,
-    hasMedia: !!(hasImage || hasAudio),
+    hasMedia: !!(hasImage || hasAudio || media),
     // tenta mesmo se o 'type' tiver vindo como 'media' pela UAZAPI
-    audioId: waId && (hasAudio || base?.type === 'media' || base?.type === 'ptt') ? waId : (hasAudio ? waId : null),
+    audioId: media ? null : (waId && (hasAudio || base?.type === 'media' || base?.type === 'ptt') ? waId : (hasAudio ? waId : null)),
+    media,
+    mediaId: media ? waId : null,
+    waMessageId: waId || null,
   };
 }
 
-/** Envia TEXTO (respeita buffer) */
+/** Envia TEXTO (respeita buffer); retorna o id na fila de saída ou false */
 async function sendTextMessage(number, message, opts = {}) {
   // Não aguardamos randomDelay aqui: o próprio queueMessage calculará e enviará
   // o delay adequado para a Uazapi, exibindo "Digitando..." para o usuário.
-  await queueMessage(number, message, opts);
+  return queueMessage(number, message, opts);
 }
 
-/** Envia o VÍDEO e, opcionalmente, um follow-up curto (texto vem do prompt) */
-async function sendDemoVideo(number, followupText = '') {
-  const url = process.env.VIDEO_URL;
-  if (!url) {
-    console.error('VIDEO_URL não definido. Não foi possível enviar o vídeo.');
-    return;
+/**
+ * Envia um vídeo do registro de mídias (media.js) e um follow-up curto
+ * (texto vem do prompt).
+ * @returns {Promise<{follow: string, videoId: number, followId: number|false}|null>}
+ *          follow-up enviado e ids na fila de saída, ou null se o vídeo não saiu
+ */
+async function sendDemoVideo(number, asset, followupText = '') {
+  if (!asset?.url) {
+    console.error(`Nenhum vídeo configurado (tenant ${currentTenant().id}). Não foi possível enviar o vídeo.`);
+    return null;
   }
   await randomDelay();
-  await queueMedia(number, url, '', { type: 'video' });
+  const videoId = await queueMedia(number, asset.url, asset.caption || '', { type: 'video' });
+  if (!videoId) return null;
   const follow = String(followupText || '').trim() || 'Fez sentido na sua empresa?';
-  await sendTextMessage(number, follow); // sem bypassBuffer; queueMessage gerencia delay
+  const followId = await sendTextMessage(number, follow); // sem bypassBuffer; queueMessage gerencia delay
+  return { follow, videoId, followId };
+}
+
+/** Tenant responde nota de voz com nota de voz? */
+function voiceRepliesEnabled() {
+  const v = currentTenant().settings?.voiceReplies;
+  return (typeof v === 'boolean' ? v : VOICE_REPLIES) && isTtsAvailable();
 }
 
-/** Handoff para humano (mensagens sem bypass) */
+/** Mensagem veio de um vendedor (ou REDIRECT_PHONE)? Usado para comandos /pausar e /retomar */
+function isOperatorNumber(number) {
+  const human = normalizeNumber(currentTenant().redirectPhone || '');
+  return (!!human && human === normalizeNumber(number)) || isSellerNumber(number);
+}
+
+/** Handoff para humano (mensagens sem bypass). extras.seller vem de assignSeller. */
 async function handoffToHuman(leadNumber, leadName = '', extras = {}) {
-  const human = process.env.REDIRECT_PHONE;
-  const humanName = process.env.HUMAN_NAME || 'Jonas';
+  const human = extras?.seller?.phone || currentTenant().redirectPhone;
+  const humanName = extras?.seller?.name || currentTenant().humanName || 'Jonas';
   
   console.log('🔄 HANDOFF INICIADO');
   console.log('   Lead:', leadNumber);
-  console.log('   REDIRECT_PHONE:', human || 'NÃO CONFIGURADO');
+  console.log('   Vendedor:', human ? `${humanName} (${human})` : 'NÃO CONFIGURADO');
   
   if (!human) {
-    console.error('❌ ERRO: REDIRECT_PHONE não definido no .env — não é possível fazer handoff!');
+    console.error('❌ ERRO: nenhum vendedor configurado (SELLERS_JSON ou REDIRECT_PHONE) — não é possível fazer handoff!');
     console.error('   Configure REDIRECT_PHONE=5511999999999 no arquivo .env');
     return;
   }
@@ -429,13 +502,78 @@ async function handoffToHuman(leadNumber, leadName = '', extras = {}) {
     lines.push('Status: Demonstrou interesse e autorizou contato.');
   }
 
+  if (extras?.summaryText) {
+    lines.push('', 'Resumo da conversa:', extras.summaryText);
+  }
+
   console.log('✅ Enviando notificação para:', human);
   await randomDelay();
-  await queueMessage(human, lines.join('\n')); // Envia pro Jonas
+  await queueMessage(human, lines.join('\n')); // Envia pro vendedor atribuído
 
   console.log('✅ HANDOFF CONCLUÍDO - Lead encaminhado com sucesso!');
 }
 
+/**
+ * Coloca o número na lista de supressão, encerra o estágio e manda a
+ * confirmação única. Com `farewellId` (despedida já enfileirada nesta
+ * rodada) a própria despedida vira a confirmação — marcada antes da
+ * supressão para o worker não cancelá-la.
+ */
+async function applyOptOut(number, session, { source, reason = '', farewellId = null }) {
+  const farewell = farewellId ? await markOptOutConfirmation(farewellId) : false;
+  await suppressNumber(number, { source, reason });
+  const next = await transitionStage(number, session, STAGES.CLOSED_REJECTED, { reason: `opt_out_${source}` });
+  if (farewell) {
+    await claimOptOutConfirmation(number);
+  } else {
+    const outboundId = await queueMessage(number, OPT_OUT_CONFIRMATION, { bypassBuffer: true, optOutConfirmation: true });
+    if (outboundId) await appendToHistory(number, 'assistant', OPT_OUT_CONFIRMATION, { outboundId });
+  }
+  return next;
+}
+
+/**
+ * Resume a conversa para o vendedor (chamada separada ao modelo) e persiste
+ * o resumo no estado da sessão. Segmento/e-mail extraídos completam o estado.
+ */
+async function summarizeForHandoff(number, session) {
+  const history = await getHistory(number);
+  const summary = await summarizeConversation(
+    history.filter(m => m.role === 'user' || m.role === 'assistant')
+  );
+  if (!summary) return session;
+  const next = {
+    ...session,
+    summary,
+    segment: session.segment || summary.segment || null,
+    email: session.email || summary.email || null,
+  };
+  await saveSessionState(number, next);
+  return next;
+}
+
+/** Grava o lead encaminhado na tabela `leads` (falha não bloqueia o handoff) */
+async function recordHandoffLead(number, session, extras = {}) {
+  try {
+    const history = await getHistory(number);
+    return await upsertLead({
+      number,
+      name: session.leadName || null,
+      responsibleName: extras.responsavelName,
+      responsiblePhone: extras.responsavelPhone,
+      segment: session.segment || null,
+      stage: session.stage,
+      seller: extras.seller || null,
+      handoffAt: session.forwardedAt || new Date(),
+      summary: formatLeadSummary(session.summary) || buildTranscriptSummary(history),
+      aiSummary: session.summary || null,
+    });
+  } catch (err) {
+    console.error('❌ Erro ao gravar lead do handoff:', err.message);
+    return null;
+  }
+}
+
 /** Normaliza req.body (aceita payloads “embrulhados” e campos stringificados) */
 function normalizeBody(req) {
   let body = req.body;
@@ -479,7 +617,7 @@ function normalizeBody(req) {
 async function handleAggregatedMessage(raw, mergedText) {
   try {
     // Extração de dados (número, texto, mídia, vCard)
-    let { number, text, contactName, contactPhone, audioId, hasMedia } = extractPayload(raw);
+    let { number, text, contactName, contactPhone, audioId, hasMedia, media, mediaId, waMessageId } = extractPayload(raw);
     
     // IMPORTANTE: Se temos mergedText do buffer, ele tem prioridade total
     // pois contém todas as mensagens agrupadas
@@ -550,7 +688,7 @@ async function handleAggregatedMessage(raw, mergedText) {
 
           // 🔽 NOVO: se o áudio disser claramente "sim"/"não", normaliza como intenção direta
           const ali = canonicalizeMenuChoice(String(text || ''));
-          if (ali.isButton) {
+          if (ali.isButton && !detectOptOut(text)) {
             text = ali.value; // 'sim' | 'nao'
             if (LOG_TRANSCR) console.log('✅ Intenção por áudio normalizada como', ali.value);
           }
@@ -560,10 +698,21 @@ async function handleAggregatedMessage(raw, mergedText) {
       } catch (err) {
         console.error('❌ Falha ao baixar/transcrever áudio:', err?.message || err);
       }
-    } else if ((!text || !String(text).trim()) && hasMedia && !audioId) {
+    } else if ((!text || !String(text).trim()) && hasMedia && !audioId && !mediaId) {
       console.warn('⚠️ Mídia recebida, mas sem WhatsApp message id válido — não é possível baixar.');
     }
 
+    // Imagem/documento: imagem vai para o modelo nesta rodada; documento vira resumo
+    let mediaText = '';
+    let images = [];
+    if (media && mediaId) {
+      const read = await readInboundMedia(mediaId, media);
+      if (read) {
+        mediaText = read.historyText;
+        images = read.images;
+      }
+    }
+
     if (!number && contactPhone) {
       number = contactPhone;
       contactPhone = '';
@@ -578,7 +727,21 @@ async function handleAggregatedMessage(raw, mergedText) {
     // Normaliza número
     number = normalizeNumber(number);
 
+    // Comandos do humano ("/pausar 5511…", "/retomar 5511…") vindos do REDIRECT_PHONE
+    if (isOperatorNumber(number) && text) {
+      const commands = parseOperatorCommands(text);
+      if (commands.length) {
+        console.log('🛂 Comandos do operador:', commands);
+        const reply = await runOperatorCommands(number, commands);
+        if (reply) await queueMessage(number, reply, { bypassBuffer: true });
+        return;
+      }
+    }
+
     // Se enviou contato sem texto, gera linha para histórico
+    // Lead falou por áudio nesta rodada (texto = transcrição)
+    const voiceTurn = Boolean(audioId && text) && voiceRepliesEnabled();
+
     let messageForHistory = text;
     if (!text && contactPhone) {
       messageForHistory = `Compartilhou o contato: ${contactName || ''} ${contactPhone}`.trim();
@@ -586,6 +749,8 @@ async function handleAggregatedMessage(raw, mergedText) {
       // Ao tratar áudio com texto, registramos apenas o texto puro no histórico
       // para que a IA reaja como se fosse uma mensagem digitada e evite fluxos errados.
       messageForHistory = text;
+    } else if (mediaText) {
+      messageForHistory = text ? `${mediaText}\n${text}` : mediaText;
     } else if (!text && hasMedia) {
       messageForHistory = '[mídia recebida]';
     }
@@ -593,14 +758,63 @@ async function handleAggregatedMessage(raw, mergedText) {
     // Registra no histórico (apenas user/assistant)
     if (messageForHistory) {
       if (LOG_TRANSCR) console.log('📚 HIST add (user):', short(messageForHistory));
-      await appendToHistory(number, 'user', String(messageForHistory));
+      await appendToHistory(number, 'user', String(messageForHistory), { waMessageId });
+      await markCampaignReply(number);
+      await resetFollowups(number);
     }
 
+    // Opt-out: números suprimidos só têm a mensagem registrada, sem resposta
+    if (await isSuppressed(number)) {
+      console.log('🔕 Número na lista de supressão — mensagem registrada, sem resposta.');
+      return;
+    }
+    if (detectOptOut(messageForHistory)) {
+      console.log('🔕 Pedido de opt-out detectado por palavra-chave.');
+      await applyOptOut(number, await loadSession(number), { source: 'keyword', reason: short(messageForHistory, 120) });
+      return;
+    }
+
+    // Chat assumido por humano: registra a mensagem, mas a Luna não responde
+    const ownership = await loadSession(number);
+    if (isPauseExpired(ownership)) {
+      await resumeChat(number, { by: 'expiry' });
+    } else if (isPaused(ownership)) {
+      console.log(`⏸️ Chat com humano (${ownership.pausedBy || '?'}) — mensagem registrada, sem resposta.`);
+      return;
+    }
+
+    // Estágio da conversa é controlado aqui, não pela memória do modelo
+    let session = await advanceOnInbound(number, String(messageForHistory || ''));
+    let optedOut = false;
+
+    // Depois de CLOSED_REJECTED só a despedida desta rodada é enviada;
+    // nada mais sai até o lead escrever de novo (o que reabre o estágio).
+    let outboundCount = 0;
+    let lastOutboundId = null; // última mensagem enfileirada nesta rodada (despedida do opt_out)
+    const replyAllowed = () => {
+      if (session.stage === STAGES.CLOSED_REJECTED && outboundCount >= 1) {
+        console.log('🤐 Estágio CLOSED_REJECTED — mensagem extra descartada.');
+        return false;
+      }
+      outboundCount++;
+      return true;
+    };
+
     // Conversa inteira é decidida pela IA (prompt) — inclusive a 1ª mensagem
     const histAll = await getHistory(number);
     const historyForAI = histAll.filter(m => m.role === 'user' || m.role === 'assistant');
 
-    const result = await generateReplyWithTools(historyForAI, number);
+    // {{HUMAN_NAME}} do prompt = vendedor que vai (ou já foi) atribuído ao lead
+    const seller = await previewSeller(number, session.segment);
+    // Prompt da variante A/B do número (sorteada no 1º contato) ou o ativo do tenant
+    const prompt = await resolvePrompt(number, { assign: !histAll.some(m => m.role === 'assistant') });
+    const systemPrompt = renderPrompt(prompt.content, { humanName: seller?.name });
+    // Cada resposta da Luna guarda a versão do prompt (e a variante) que a gerou
+    const byPrompt = { promptVersion: prompt.version, ...(prompt.variant ? { variant: prompt.variant } : {}) };
+
+    const context = await buildSessionContext(number, session, { voiceReply: voiceTurn });
+    const videos = listMediaAssets().filter(a => a.type === 'video');
+    const result = await generateReplyWithTools(historyForAI, number, systemPrompt, { context, videos, images });
     if (!result) return;
 
     console.log('🤖 RESPOSTA DA IA RECEBIDA:');
@@ -632,8 +846,21 @@ async function handleAggregatedMessage(raw, mergedText) {
       async send_text(a) {
         const msg = a.message || '';
         if (!msg) return;
-        await queueMessage(a.number, msg);
-        await appendToHistory(number, 'assistant', msg);
+        if (!replyAllowed()) return;
+        // Lead mandou áudio: responde em nota de voz, a menos que o modelo peça texto (voice=false)
+        if (voiceTurn && a.voice !== false && !optedOut) {
+          const voiceId = await queueVoiceNote(a.number, msg, { voice: currentTenant().settings?.ttsVoice });
+          if (voiceId) {
+            await appendToHistory(number, 'assistant', msg, { ...byPrompt, voice: true, toolName: 'send_text', outboundId: voiceId });
+            lastOutboundId = voiceId;
+            return;
+          }
+          console.warn('🔇 Nota de voz não gerada — resposta vai em texto.');
+        }
+        const outboundId = await queueMessage(a.number, msg, { optOutConfirmation: optedOut });
+        if (!outboundId && optedOut) return;
+        lastOutboundId = outboundId || lastOutboundId;
+        await appendToHistory(number, 'assistant', msg, { ...byPrompt, toolName: 'send_text', outboundId });
       },
       async send_menu(a) {
         // Anti‑duplicação de menu em janela curta. Se tentar enviar outro menu
@@ -645,41 +872,91 @@ async function handleAggregatedMessage(raw, mergedText) {
         const text = a.text || '';
         const choices = Array.isArray(a.choices) ? a.choices : [];
         const footer = a.footerText || 'Escolha uma das opções';
+        if (!replyAllowed()) return;
         if (now - last < MENU_DEDUP_WINDOW_MS) {
           // Menu foi enviado recentemente — em vez de silenciar, envia
           // o mesmo texto introdutório (ou uma frase padrão) como mensagem.
           const fallback = text && text.trim()
             ? text.trim()
             : 'Certo! Me diga SIM ou NÃO para eu continuar.';
-          await queueMessage(a.number, fallback);
-          if (fallback) await appendToHistory(number, 'assistant', fallback);
+          const outboundId = await queueMessage(a.number, fallback);
+          if (fallback) await appendToHistory(number, 'assistant', fallback, { ...byPrompt, toolName: 'send_menu', outboundId });
           console.log('↪️ Menu deduplicado. Enviado fallback de texto.');
           return;
         }
         const menuPayload = { type: 'button', text, choices, footerText: footer };
-        await queueMenu(a.number, menuPayload);
+        const outboundId = await queueMenu(a.number, menuPayload);
+        lastOutboundId = outboundId || lastOutboundId;
         lastMenuAt.set(a.number, now);
-        if (text) await appendToHistory(number, 'assistant', text);
+        if (text) await appendToHistory(number, 'assistant', text, { ...byPrompt, toolName: 'send_menu', outboundId });
       },
       async handoff(a) {
         console.log('📲 FUNÇÃO HANDOFF CHAMADA!');
         console.log('   Argumentos:', JSON.stringify(a));
+        // Regra de ouro do prompt, garantida aqui: um único handoff por chat
+        if (session.forwarded) {
+          console.log('🚫 Handoff recusado — lead já foi encaminhado em', session.forwardedAt || '(data desconhecida)');
+          return;
+        }
         const extras = {};
         if (a.responsible_name) extras.responsavelName = a.responsible_name;
         if (a.responsible_phone) extras.responsavelPhone = normalizeNumber(a.responsible_phone);
-        await appendToHistory(number, 'assistant', '[handoff]');
-        let leadName = '';
-        try {
-          const hist = await getHistory(number);
-          for (const m of hist) {
-            if (m.role === 'meta') {
-              const st = JSON.parse(m.content);
-              if (st && st.leadName) { leadName = st.leadName; break; }
-            }
-          }
-        } catch {}
+        await appendToHistory(number, 'assistant', '[handoff]', { ...byPrompt, toolName: 'handoff' });
+        session = await transitionStage(number, session, STAGES.CLOSED_FORWARDED, { reason: 'handoff_tool' });
+        session = await summarizeForHandoff(number, session);
+        extras.summaryText = formatLeadSummary(session.summary);
+        extras.seller = await assignSeller(number, session.segment);
+        // Registro estruturado primeiro: o lead não se perde se a notificação falhar
+        const lead = await recordHandoffLead(number, session, extras);
         console.log('   Chamando handoffToHuman...');
-        await handoffToHuman(a.number, leadName, extras);
+        await handoffToHuman(a.number, session.leadName || '', extras);
+        if (lead) sendLeadToCrm(toLeadRecord(lead)).catch(() => {}); // em background, com retries
+        // A partir daqui o chat é do humano até /retomar, rota admin ou expiração
+        session = await pauseChat(number, { by: 'handoff' });
+      },
+      async send_video(a) {
+        const asset = getMediaAsset(a.name || null, { type: 'video' });
+        if (!asset) {
+          console.warn('🎬 send_video: vídeo não encontrado', a.name || '(padrão)');
+          return;
+        }
+        // Cada vídeo sai uma única vez por conversa
+        const sent = Array.isArray(session.videosSent) ? session.videosSent : [];
+        if (sent.includes(asset.name)) {
+          console.log(`🎬 Vídeo "${asset.name}" já foi enviado — ignorando.`);
+          return;
+        }
+        if (!replyAllowed()) return;
+        const sentVideo = await sendDemoVideo(a.number, asset, a.followup);
+        if (!sentVideo) return;
+        const { follow, videoId, followId } = sentVideo;
+        await appendToHistory(number, 'assistant', `[vídeo enviado: ${asset.name}]`, { ...byPrompt, toolName: 'send_video', outboundId: videoId });
+        await appendToHistory(number, 'assistant', follow, { ...byPrompt, toolName: 'send_video', outboundId: followId });
+        session = await transitionStage(number, session, session.stage, {
+          reason: 'video_sent',
+          patch: { videoSent: true, videosSent: [...sent, asset.name] },
+        });
+      },
+      async update_lead(a) {
+        const { stage, patch, rejected } = parseLeadUpdate(a);
+        if (rejected.length) console.warn('⚠️ update_lead: valores recusados', rejected);
+        let to = stage || session.stage;
+        if (to !== session.stage && !canTransition(session.stage, to)) {
+          console.warn(`🚫 update_lead: transição ${session.stage} → ${to} não permitida — só os dados serão gravados.`);
+          to = session.stage;
+        }
+        if (to === session.stage && !Object.keys(patch).length) return;
+        session = await transitionStage(number, session, to, { reason: 'model_update_lead', patch });
+      },
+      async opt_out(a) {
+        if (optedOut) return;
+        optedOut = true;
+        // Se a IA já se despediu nesta rodada, essa despedida vale como a confirmação
+        session = await applyOptOut(number, session, {
+          source: 'model',
+          reason: a.reason || '',
+          farewellId: lastOutboundId,
+        });
       },
     };
 
@@ -719,9 +996,9 @@ async function handleAggregatedMessage(raw, mergedText) {
     } else if (result.content) {
       console.log('💬 IA respondeu com texto puro (sem funções)');
       const msg = result.content.trim();
-      if (msg) {
-        await queueMessage(number, msg);
-        await appendToHistory(number, 'assistant', msg);
+      if (msg && replyAllowed()) {
+        const outboundId = await queueMessage(number, msg);
+        await appendToHistory(number, 'assistant', msg, { ...byPrompt, outboundId });
       }
     }
   } catch (err) {
@@ -729,8 +1006,35 @@ async function handleAggregatedMessage(raw, mergedText) {
   }
 }
 
-/** Webhook: aceita /webhook e /webhooks */
-app.post(['/webhook', '/webhooks'], async (req, res) => {
+// Buffer de agrupamento: ao vencer a janela, entrega o texto combinado à IA
+const messageBuffer = createMessageBuffer({
+  backend: process.env.BUFFER_BACKEND || 'memory',
+  windowMs: USER_MERGE_WINDOW_MS,
+  onFlush: (_number, { raw, text }) => handleAggregatedMessage(raw, text),
+});
+
+/**
+ * Descobre o tenant do webhook (/webhook/:tenant ou instância no payload) e
+ * roda o resto da requisição no contexto dele (tenants.js).
+ */
+async function withWebhookTenant(req, res, next) {
+  let tenant;
+  try {
+    tenant = await resolveWebhookTenant({ pathTenant: req.params.tenant, raw: normalizeBody(req) });
+  } catch (err) {
+    // Sem como saber de quem é a mensagem: a Uazapi reentrega depois
+    console.warn('⏳ Webhook adiado:', { reason: err.message });
+    return res.status(err.status || 503).send('Retry: tenant_unavailable');
+  }
+  if (!tenant) {
+    console.warn('🚫 Webhook rejeitado:', { reason: 'unknown_tenant', tenant: req.params.tenant });
+    return res.status(404).send('Rejected: unknown_tenant');
+  }
+  return runWithTenant(tenant, () => next());
+}
+
+/** Webhook: aceita /webhook e /webhooks, com ou sem /:tenant (token/IP verificados em webhookAuth) */
+app.post(['/webhook', '/webhooks', '/webhook/:tenant', '/webhooks/:tenant'], webhookAuth, withWebhookTenant, async (req, res) => {
   const raw = normalizeBody(req);
 
   // Log seguro do payload
@@ -761,87 +1065,55 @@ app.post(['/webhook', '/webhooks'], async (req, res) => {
 
   const number = normalizeNumber(probe.number || probe.contactPhone || '');
 
+  // 🔁 Reentrega/duplicata da Uazapi: cada message id é processado uma única vez
+  // (o id só é gravado depois que a mensagem entra no buffer)
+  const messageId = webhookMessageId(raw);
+  if (await isDuplicateMessage(messageId)) {
+    console.log('🔁 Webhook duplicado ignorado:', { number: maskNumber(number), messageId });
+    return res.status(200).send('ACK: duplicate');
+  }
+
   // ⚡ ATIVA "DIGITANDO" IMEDIATAMENTE (feedback visual instantâneo)
   // O status fica ativo durante todo o processamento (buffer + IA)
-  setTypingStatus(number).catch(() => {}); // Non-blocking, erro não é crítico
+  // (exceto em chat assumido por humano — a Luna não vai responder)
+  loadSession(number)
+    .then(st => (isPaused(st) ? null : setTypingStatus(number)))
+    .catch(() => {}); // Non-blocking, erro não é crítico
   
-  // 🛡️ PROTEÇÃO EXTRA: Verifica se já existe entrada sendo processada
-  // Isso previne que webhooks duplicados ou muito rápidos criem múltiplos processamentos
-  const existingEntry = pendingByUser.get(number);
-  if (existingEntry?.processing) {
-    console.log(`🚫 Mensagem ignorada - buffer já está processando para ${maskNumber(number)}`);
-    return res.sendStatus(200);
-  }
-
-  // ✅ Clique de BOTÃO: processa com ou sem buffer baseado na config
-  if (probe.type === 'button') {
-    if (!BUFFER_BUTTONS) {
-      // Botões processados IMEDIATAMENTE (padrão - melhor UX)
-      try {
-        await handleAggregatedMessage(raw, probe.text || '');
-      } catch (e) {
-        console.error('handleAggregatedMessage (button) error', e);
-      }
-      return res.sendStatus(200);
+  // ✅ Clique de BOTÃO: processa com ou sem buffer baseado na config.
+  // Se já há uma resposta sendo gerada para o número, o clique entra no buffer
+  // e vira o próximo turno (nunca roda em paralelo nem é descartado).
+  const busy = await messageBuffer.isProcessing(number).catch(() => false);
+  if (probe.type === 'button' && !BUFFER_BUTTONS && !busy) {
+    // Botões processados IMEDIATAMENTE (padrão - melhor UX)
+    try {
+      await handleAggregatedMessage(raw, probe.text || '');
+    } catch (e) {
+      console.error('handleAggregatedMessage (button) error', e);
     }
-    // Se BUFFER_BUTTONS=true, botões passam pelo buffer normal (cai no código abaixo)
-  }
-
-  // 🔁 Mensagens comuns (e botões se BUFFER_BUTTONS=true): Buffer de 7s
-  const entry = pendingByUser.get(number) || { 
-    combinedText: '', 
-    lastRaw: null, 
-    timer: null, 
-    processing: false,
-    messageCount: 0 
-  };
-  
-  // Previne race condition: se já está processando, ignora novas mensagens
-  if (entry.processing) {
-    console.log(`⏳ Buffer já processando para ${maskNumber(number)}, ACK sem adicionar ao buffer`);
+    await recordMessageId(messageId);
     return res.sendStatus(200);
   }
-  
-  const newTextPart = probe.text || '';
-  const previousText = entry.combinedText;
-  entry.combinedText = [entry.combinedText, newTextPart].filter(Boolean).join(' ').trim();
-  entry.lastRaw = raw;
-  entry.messageCount = (entry.messageCount || 0) + 1;
 
-  if (LOG_TRANSCR) {
-    console.log('🔄 Buffer atualizado:', {
-      number: maskNumber(number),
-      messageCount: entry.messageCount,
-      previousText: short(previousText, 50),
-      newText: short(newTextPart, 50),
-      combinedText: short(entry.combinedText, 80),
-      timerActive: !!entry.timer
-    });
-  }
-
-  if (entry.timer) {
-    console.log(`⏱️ Timer cancelado para ${maskNumber(number)}, reiniciando contagem (${USER_MERGE_WINDOW_MS}ms)`);
-    clearTimeout(entry.timer);
-  }
-  
-  entry.timer = setTimeout(async () => {
-    console.log(`⚡ Timer disparado para ${maskNumber(number)}:`, {
-      messageCount: entry.messageCount,
-      combinedText: short(entry.combinedText, 100)
-    });
-    
-    entry.processing = true;
-    try {
-      await handleAggregatedMessage(entry.lastRaw, entry.combinedText);
-    } catch (e) {
-      console.error('handleAggregatedMessage error', e);
-    } finally {
-      pendingByUser.delete(number);
-      console.log(`✅ Buffer processado e limpo para ${maskNumber(number)}`);
+  // 🔁 Mensagens comuns (e botões se BUFFER_BUTTONS=true): Buffer de 7s
+  try {
+    const result = await messageBuffer.add(number, { text: probe.text || '', raw });
+    await recordMessageId(messageId);
+    if (result.queued) {
+      console.log(`📥 Resposta em andamento para ${maskNumber(number)} — mensagem guardada para o próximo turno`);
     }
-  }, USER_MERGE_WINDOW_MS);
+  } catch (e) {
+    // Sem buffer, responde direto; o id só é gravado depois de processar
+    // (se o processo cair antes, a reentrega da Uazapi ainda é aceita)
+    console.error('messageBuffer.add error — processando sem buffer', e);
+    handleAggregatedMessage(raw, probe.text || '')
+      .then(() => recordMessageId(messageId))
+      .catch(err => {
+        releaseMessageId(messageId);
+        console.error('handleAggregatedMessage error', err);
+      });
+  }
 
-  pendingByUser.set(number, entry);
   return res.sendStatus(200); // ACK imediato
 });
 
@@ -850,6 +1122,16 @@ app.get('/', (_req, res) => {
   res.send('Uazapi bot is running.');
 });
 
+// Rotas administrativas (campanhas etc.) — exigem ADMIN_TOKEN
+app.use('/admin', requireAdmin, adminRouter);
+
 app.listen(PORT, () => {
   console.log(`✅ Bot server listening on port ${PORT}`);
+  // Migrations pendentes; erro já logado — nova tentativa no próximo uso do banco
+  ensureSchema().catch(() => {});
+  startStorageMonitor();
+  startCampaignScheduler();
+  startFollowupScheduler();
+  messageBuffer.start();
+  startOutboxWorker();
 });
@@ -0,0 +1,375 @@
+// src/campaigns.js
+
+/**
+ * Campanhas de prospecção ativa (outbound).
+ *
+ * O time sobe uma lista de leads (CSV ou JSON com number, name, segment) e a
+ * Luna puxa a conversa sozinha com uma mensagem de abertura configurável.
+ * Os envios saem pelo queue.js (queueOpeningMessage, com intervalo global),
+ * só dentro do horário comercial e até o teto diário de conversas novas
+ * (NEW_CONVERSATIONS_DAILY_CAP, rateLimiter.js), e o status de cada lead fica em
+ * `campaign_leads` (com o tenant_id da campanha). Quando o lead responde, a
+ * mensagem entra pelo webhook normal (handleAggregatedMessage) e o lead é
+ * marcado como `replied`.
+ * Com teste A/B ativo (experiments.js), a abertura da variante do lead
+ * substitui a da campanha.
+ *
+ * Status do lead: pending → sending → sent → replied | failed | skipped
+ */
+
+import { query } from './db.js';
+import { ensureSchema } from './migrations.js';
+import { normalizeNumber } from './uazapiClient.js';
+import { queueOpeningMessage } from './queue.js';
+import { getHistory, appendToHistory } from './conversationStore.js';
+import { isDatabaseUp } from './storage.js';
+import { STAGES, loadSession, transitionStage } from './stateMachine.js';
+import { isBusinessTime } from './timeUtils.js';
+import { isSuppressed } from './suppression.js';
+import { reserveNewConversation, releaseNewConversation } from './rateLimiter.js';
+import { currentTenantId, getTenant, runWithTenant } from './tenants.js';
+import { assignVariant } from './experiments.js';
+
+const DEFAULT_OPENING_MESSAGE = process.env.CAMPAIGN_OPENING_MESSAGE
+  || 'Oi {{name}}! Empresas da sua área costumam ter dificuldade pra conseguir clientes novos. Aí também acontece?';
+const BUSINESS_HOURS = {
+  hours: process.env.CAMPAIGN_BUSINESS_HOURS || '09:00-18:00',
+  days: process.env.CAMPAIGN_BUSINESS_DAYS || '1-5',
+};
+const TICK_MS = Number(process.env.CAMPAIGN_TICK_MS || 30000);
+const BATCH_SIZE = Number(process.env.CAMPAIGN_BATCH_SIZE || 10);
+// Leads presos em `sending` (ex.: restart no meio do envio) voltam para a fila
+const STALE_SENDING_MINUTES = 10;
+// Espera máxima pelo horário da abertura: bem abaixo do prazo acima, para o
+// lead nunca voltar à fila (e receber outra abertura) enquanto aguarda
+const OPENING_MAX_WAIT_MS = (STALE_SENDING_MINUTES / 2) * 60000;
+
+// ===== PARSE DA LISTA (CSV / JSON) =====
+
+const HEADER_ALIASES = {
+  number: ['number', 'numero', 'número', 'telefone', 'phone', 'whatsapp', 'celular'],
+  name: ['name', 'nome', 'contato', 'empresa'],
+  segment: ['segment', 'segmento', 'nicho', 'setor'],
+};
+
+function splitCsvLine(line, sep) {
+  const out = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (quoted && line[i + 1] === '"') { cur += '"'; i++; }
+      else quoted = !quoted;
+    } else if (ch === sep && !quoted) {
+      out.push(cur.trim());
+      cur = '';
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+function parseCsv(text) {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return [];
+  const sep = (lines[0].match(/;/g) || []).length > (lines[0].match(/,/g) || []).length ? ';' : ',';
+  const header = splitCsvLine(lines[0], sep).map(h => h.toLowerCase());
+  const col = {};
+  for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+    col[field] = header.findIndex(h => aliases.includes(h));
+  }
+  // Sem cabeçalho reconhecível: assume number,name,segment
+  const hasHeader = col.number >= 0;
+  if (!hasHeader) Object.assign(col, { number: 0, name: 1, segment: 2 });
+  return lines.slice(hasHeader ? 1 : 0).map(line => {
+    const cells = splitCsvLine(line, sep);
+    return {
+      number: cells[col.number],
+      name: col.name >= 0 ? cells[col.name] : '',
+      segment: col.segment >= 0 ? cells[col.segment] : '',
+    };
+  });
+}
+
+/**
+ * Normaliza a lista de leads vinda do upload (array JSON ou texto CSV).
+ * Descarta linhas sem número e duplicatas.
+ *
+ * @param {Array|string} input
+ * @returns {Array<{number: string, name: string, segment: string}>}
+ */
+export function parseLeadList(input) {
+  const rows = Array.isArray(input) ? input : parseCsv(input);
+  const seen = new Set();
+  const leads = [];
+  for (const r of rows) {
+    if (!r || typeof r !== 'object') continue;
+    const number = normalizeNumber(r.number ?? r.numero ?? r.phone ?? r.telefone ?? '');
+    if (!number || number.length < 10 || seen.has(number)) continue;
+    seen.add(number);
+    leads.push({
+      number,
+      name: String(r.name ?? r.nome ?? '').trim(),
+      segment: String(r.segment ?? r.segmento ?? '').trim(),
+    });
+  }
+  return leads;
+}
+
+/** Preenche {{name}} / {{segment}} (aliases {{nome}} / {{segmento}}) */
+export function renderOpeningMessage(template, lead) {
+  const vars = {
+    name: lead.name || '', nome: lead.name || '',
+    segment: lead.segment || '', segmento: lead.segment || '',
+  };
+  return String(template || '')
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, k) => vars[k.toLowerCase()] ?? '')
+    .replace(/[ \t]+([!?,.])/g, '$1')
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
+
+// ===== CRUD =====
+
+export async function createCampaign({ name, openingMessage, startAt, leads }) {
+  await ensureSchema();
+  const { rows } = await query(
+    `INSERT INTO campaigns (tenant_id, name, opening_message, start_at)
+     VALUES ($4, $1, $2, $3) RETURNING *`,
+    [
+      String(name || `Campanha ${new Date().toISOString().slice(0, 10)}`),
+      String(openingMessage || DEFAULT_OPENING_MESSAGE),
+      startAt ? new Date(startAt) : null,
+      currentTenantId(),
+    ]
+  );
+  const campaign = rows[0];
+  let inserted = 0;
+  for (const lead of leads) {
+    const r = await query(
+      `INSERT INTO campaign_leads (campaign_id, tenant_id, number, name, segment)
+       VALUES ($1, $2, $3, $4, $5) ON CONFLICT (campaign_id, number) DO NOTHING`,
+      [campaign.id, campaign.tenant_id, lead.number, lead.name || null, lead.segment || null]
+    );
+    inserted += r.rowCount || 0;
+  }
+  console.log(`📣 Campanha #${campaign.id} criada com ${inserted} leads`);
+  return { ...campaign, leads: inserted };
+}
+
+export async function listCampaigns() {
+  await ensureSchema();
+  const { rows } = await query(
+    `SELECT c.*, COALESCE(s.by_status, '{}'::jsonb) AS by_status
+       FROM campaigns c
+       LEFT JOIN (
+         SELECT campaign_id, jsonb_object_agg(status, n) AS by_status
+           FROM (SELECT campaign_id, status, COUNT(*)::int AS n
+                   FROM campaign_leads WHERE tenant_id = $1
+                  GROUP BY campaign_id, status) t
+          GROUP BY campaign_id
+       ) s ON s.campaign_id = c.id
+      WHERE c.tenant_id = $1
+      ORDER BY c.id DESC`,
+    [currentTenantId()]
+  );
+  return rows;
+}
+
+export async function getCampaign(id) {
+  await ensureSchema();
+  const { rows } = await query(
+    'SELECT * FROM campaigns WHERE id = $1 AND tenant_id = $2',
+    [Number(id), currentTenantId()]
+  );
+  if (!rows[0]) return null;
+  const leads = await query(
+    `SELECT number, name, segment, status, attempts, last_error, sent_at, replied_at
+       FROM campaign_leads WHERE campaign_id = $1 AND tenant_id = $2 ORDER BY id`,
+    [Number(id), currentTenantId()]
+  );
+  const byStatus = {};
+  for (const l of leads.rows) byStatus[l.status] = (byStatus[l.status] || 0) + 1;
+  return { ...rows[0], by_status: byStatus, leads: leads.rows };
+}
+
+export async function setCampaignStatus(id, status) {
+  await ensureSchema();
+  const r = await query(
+    'UPDATE campaigns SET status = $2 WHERE id = $1 AND tenant_id = $3',
+    [Number(id), status, currentTenantId()]
+  );
+  return r.rowCount > 0;
+}
+
+/**
+ * Chamado quando chega mensagem do lead: marca a resposta na campanha.
+ * Silencioso se o número não pertence a nenhuma campanha.
+ */
+export async function markCampaignReply(numberRaw) {
+  const number = normalizeNumber(numberRaw);
+  if (!isDatabaseUp()) return;
+  try {
+    await ensureSchema();
+    await query(
+      `UPDATE campaign_leads SET status = 'replied', replied_at = now(), updated_at = now()
+        WHERE tenant_id = $2 AND number = $1 AND status = 'sent'`,
+      [number, currentTenantId()]
+    );
+  } catch (err) {
+    console.error('Error marking campaign reply for', number, err.message);
+  }
+}
+
+// ===== DISPARO =====
+
+async function claimNextLead() {
+  const { rows } = await query(
+    `UPDATE campaign_leads SET status = 'sending', attempts = attempts + 1, updated_at = now()
+      WHERE id = (
+        SELECT l.id FROM campaign_leads l
+          JOIN campaigns c ON c.id = l.campaign_id
+         WHERE c.status = 'active' AND l.status = 'pending'
+           AND (c.start_at IS NULL OR c.start_at <= now())
+         ORDER BY l.id
+         LIMIT 1
+         FOR UPDATE OF l SKIP LOCKED)
+      RETURNING *`
+  );
+  return rows[0] || null;
+}
+
+async function finishLead(id, status, error = null) {
+  await query(
+    `UPDATE campaign_leads
+        SET status = $2, last_error = $3, updated_at = now(),
+            sent_at = CASE WHEN $2 = 'sent' THEN now() ELSE sent_at END
+      WHERE id = $1`,
+    [id, status, error]
+  );
+}
+
+/** Devolve o lead para a fila sem contar a tentativa (ex.: teto diário atingido) */
+async function releaseLead(id) {
+  await query(
+    `UPDATE campaign_leads SET status = 'pending', attempts = GREATEST(attempts - 1, 0), updated_at = now()
+      WHERE id = $1`,
+    [id]
+  );
+}
+
+/**
+ * Envia a abertura para um lead reservado.
+ * @returns {Promise<'next'|'daily_cap'|'no_slot'>} 'next' segue o ciclo; os outros
+ *          devolvem o lead para a fila e encerram o ciclo (teto diário atingido /
+ *          próximo horário de abertura além de OPENING_MAX_WAIT_MS)
+ */
+async function sendOpening(lead) {
+  if (await isSuppressed(lead.number)) {
+    await finishLead(lead.id, 'skipped', 'suppressed');
+    return 'next';
+  }
+  // Não abre conversa fria com quem já está conversando com a Luna
+  const history = await getHistory(lead.number);
+  if (history.some(m => m?.role === 'user' || m?.role === 'assistant')) {
+    await finishLead(lead.id, 'skipped', 'existing_conversation');
+    return 'next';
+  }
+  if (!(await reserveNewConversation())) {
+    await releaseLead(lead.id);
+    return 'daily_cap';
+  }
+  const { rows } = await query('SELECT opening_message FROM campaigns WHERE id = $1', [lead.campaign_id]);
+  // Teste A/B: a abertura da variante sorteada tem prioridade sobre a da campanha
+  const variant = await assignVariant(lead.number).catch((err) => {
+    console.error('Error assigning variant for', lead.number, err.message);
+    return null;
+  });
+  const opener = (variant?.active && variant.opener) || rows[0]?.opening_message || DEFAULT_OPENING_MESSAGE;
+  const text = renderOpeningMessage(opener, lead);
+
+  const outboundId = await queueOpeningMessage(lead.number, text, { maxWaitMs: OPENING_MAX_WAIT_MS });
+  if (outboundId === null) {
+    await releaseNewConversation().catch(() => {});
+    await releaseLead(lead.id);
+    return 'no_slot';
+  }
+  if (!outboundId) {
+    await releaseNewConversation().catch(() => {});
+    await finishLead(lead.id, 'failed', 'send_failed');
+    return 'next';
+  }
+  await appendToHistory(lead.number, 'assistant', text, {
+    ...(variant ? { variant: variant.id } : {}),
+    toolName: 'campaign_opening',
+    outboundId,
+  });
+  const session = await loadSession(lead.number);
+  await transitionStage(lead.number, session, STAGES.INTRO, {
+    reason: 'campaign_opening',
+    patch: {
+      leadName: session.leadName || lead.name || null,
+      segment: lead.segment || session.segment || null,
+      campaignId: lead.campaign_id,
+    },
+  });
+  await finishLead(lead.id, 'sent');
+  console.log(`📣 Abertura enviada (campanha #${lead.campaign_id}) para ${lead.number}`);
+  return 'next';
+}
+
+let running = false;
+
+/** Um ciclo do agendador: envia até BATCH_SIZE aberturas, se for horário comercial */
+export async function runCampaignTick() {
+  if (running) return;
+  if (!isBusinessTime(BUSINESS_HOURS) || !isDatabaseUp()) return;
+  running = true;
+  try {
+    await ensureSchema();
+    await query(
+      `UPDATE campaign_leads SET status = 'pending', updated_at = now()
+        WHERE status = 'sending' AND updated_at < now() - make_interval(mins => $1::int)`,
+      [STALE_SENDING_MINUTES]
+    );
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      if (!isBusinessTime(BUSINESS_HOURS)) break;
+      const lead = await claimNextLead();
+      if (!lead) break;
+      try {
+        const tenant = await getTenant(lead.tenant_id);
+        if (!tenant || tenant.active === false) {
+          await finishLead(lead.id, 'skipped', 'tenant_inactive');
+          continue;
+        }
+        const outcome = await runWithTenant(tenant, () => sendOpening(lead));
+        if (outcome === 'daily_cap') {
+          console.log(`🧢 Teto diário de conversas novas atingido (${lead.tenant_id}) — campanhas retomam no próximo ciclo/dia.`);
+          break;
+        }
+        if (outcome === 'no_slot') {
+          console.log(`⏳ Próximo horário de abertura muito distante — lead ${lead.number} volta para a fila.`);
+          break;
+        }
+      } catch (err) {
+        console.error('❌ Erro no envio de campanha para', lead.number, err.message);
+        await finishLead(lead.id, 'failed', err.message).catch(() => {});
+      }
+    }
+  } catch (err) {
+    console.error('❌ Erro no agendador de campanhas:', err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/** Inicia o agendador de campanhas (chamado uma vez no boot) */
+export function startCampaignScheduler() {
+  const timer = setInterval(() => { runCampaignTick(); }, TICK_MS);
+  timer.unref?.();
+  console.log(`📣 Agendador de campanhas ativo (tick ${TICK_MS}ms, horário ${BUSINESS_HOURS.hours} dias ${BUSINESS_HOURS.days})`);
+  return timer;
+}
@@ -19,16 +19,20 @@ export const OPENAI_API_KEY  = process.env.OPENAI_API_KEY;
 // provided the default prompt defined in prompt.js will be used.
 export const PRODUCT_PROMPT  = process.env.PRODUCT_PROMPT;
 
-// Delay between outgoing messages in milliseconds. Defaults to 30 seconds.
+// Base spacing between conversation openers (campaigns), in milliseconds.
+// A random jitter is applied on top of it (see rateLimiter.js). Defaults to 30 seconds.
 export const SEND_DELAY_MS   = parseInt(process.env.SEND_DELAY_MS || '30000', 10);
 // Port for the HTTP server to listen on. Defaults to 3000.
 export const PORT            = parseInt(process.env.PORT || '3000', 10);
 
 // PostgreSQL connection settings. These variables are optional – if not provided
 // the bot will continue to run but persistent conversation history will not
-// be stored. When configured, the bot will persist user sessions in a
-// `sessions` table with columns `number`, `history` and `last_response_ts`.
-// See db.js for connection setup and migrations.sql for table creation.
+// be stored. If the database goes down while running, conversations, the
+// outbox and opt-outs fall back to process memory and are synced back when it
+// returns (see storage.js). When configured, the bot will persist user sessions in a
+// `sessions` table and one row per conversation message in `messages`.
+// See db.js for connection setup; tables are created by the numbered SQL files
+// in migrations/ (applied at startup or with `npm run migrate`, see migrations.js).
 export const PG_HOST     = process.env.PG_HOST;
 export const PG_PORT     = process.env.PG_PORT;
 export const PG_USER     = process.env.PG_USER;
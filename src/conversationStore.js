@@ -3,47 +3,168 @@
 /**
  * Persistent conversation store backed by PostgreSQL.
  *
- * Each WhatsApp number is associated with a row in the `sessions` table.
- * The `history` column contains a JSON array of message objects
- * (with `role` and `content` fields), and `last_response_ts` tracks
- * the timestamp of the last outbound response.
+ * Each WhatsApp number is associated with a row in the `sessions` table
+ * (`last_response_ts` tracks the last outbound response; `stage` and
+ * `updated_at` mirror the latest state/activity so admin listings can filter
+ * in SQL). The conversation itself lives in `messages`, one row per entry:
+ * role, content, direction, WhatsApp message id, tool name, delivery status
+ * (updated by the outbox) and free-form metadata (prompt version, variant…).
+ * Appends are plain INSERTs, so concurrent writers never overwrite each other.
+ *
+ * getHistory still returns the same array of `{ role, content, ...extra }`
+ * objects as before, with session state stored as `meta` entries. The old
+ * `sessions.history` JSON column is moved into `messages` by migration
+ * 003_messages.sql.
+ *
+ * Rows are scoped by tenant (`tenant_id`, see tenants.js): the same WhatsApp
+ * number talking to two clients has two independent sessions. Every helper
+ * below works on the tenant of the current request/task.
+ *
+ * With PostgreSQL down (storage.js) conversations keep going in memory:
+ * new entries, state and last response time are held per number and
+ * written to the database once it is back.
  */
 
 import { query } from './db.js';
+import { ensureSchema } from './migrations.js';
 import { normalizeNumber } from './uazapiClient.js';
+import { currentTenantId } from './tenants.js';
+import { withFallback, registerFallback } from './storage.js';
 
 // OTIMIZAÇÃO: Cache em memória para reduzir consultas ao banco
 // Limpa cache automaticamente após 5 minutos de inatividade
 const historyCache = new Map();
 const CACHE_TTL_MS = 300000; // 5 minutos
 
+// Chave do cache: tenant + número
+const cacheKey = (number) => `${currentTenantId()}:${number}`;
+
 function setCacheEntry(number, history) {
-  historyCache.set(number, { history, timestamp: Date.now() });
+  historyCache.set(cacheKey(number), { history, timestamp: Date.now() });
 }
 
 function getCacheEntry(number) {
-  const entry = historyCache.get(number);
+  const key = cacheKey(number);
+  const entry = historyCache.get(key);
   if (!entry) return null;
   // Verifica se o cache expirou
   if (Date.now() - entry.timestamp > CACHE_TTL_MS) {
-    historyCache.delete(number);
+    historyCache.delete(key);
     return null;
   }
   return entry.history;
 }
 
 function invalidateCache(number) {
-  historyCache.delete(number);
+  historyCache.delete(cacheKey(number));
 }
 
-// Garante que a linha exista (idempotente)
-async function ensureSessionRow(num) {
-  await query(
-    `INSERT INTO sessions(number, history, last_response_ts)
-     VALUES ($1, '[]', NULL)
-     ON CONFLICT (number) DO NOTHING`,
-    [num]
-  );
+const DIRECTIONS = { user: 'inbound', assistant: 'outbound' };
+
+/** Linha de `messages` → entrada do histórico ({ role, content, ...extra }) */
+function toEntry(row) {
+  return {
+    role: row.role,
+    content: row.content,
+    ...(row.metadata || {}),
+    ...(row.tool_name ? { toolName: row.tool_name } : {}),
+    ...(row.delivery_status ? { deliveryStatus: row.delivery_status } : {}),
+    at: row.created_at,
+  };
+}
+
+// ===== FALLBACK EM MEMÓRIA (banco fora, ver storage.js) =====
+// Conversas tocadas durante o incidente: o histórico visível (o que havia em
+// cache + o que chegou depois) e as linhas que ainda precisam ir para o banco.
+// Enquanto o número tiver pendências, leituras e escritas dele ficam aqui
+// para não embaralhar a ordem; a sincronização esvazia o mapa.
+const memorySessions = new Map(); // cacheKey -> { tenantId, number, history, pending, seeded, reset, stage, updatedAt, lastResponseAt }
+
+function memorySession(number, { fresh = false } = {}) {
+  const key = cacheKey(number);
+  let s = memorySessions.get(key);
+  if (!s) {
+    // Ponto de partida: o histórico em cache, mesmo expirado (fresh = conversa zerada)
+    const seed = fresh ? [] : historyCache.get(key)?.history || null;
+    if (!seed) console.warn(`⚠️ Histórico de ${number} indisponível com o banco fora — seguindo só com as mensagens novas.`);
+    s = {
+      tenantId: currentTenantId(),
+      number,
+      history: seed ? [...seed] : [],
+      pending: [],
+      seeded: !!seed,
+      reset: false,
+      stage: null,
+      updatedAt: null,
+      lastResponseAt: null,
+    };
+    memorySessions.set(key, s);
+  }
+  return s;
+}
+
+/** Banco para o número, ou memória (banco fora / pendências do número ainda não sincronizadas) */
+function withSession(number, primary, fallback) {
+  if (memorySessions.has(cacheKey(number))) return fallback();
+  return withFallback(primary, fallback);
+}
+
+/** Grava no banco as conversas que ficaram só na memória (chamado pelo storage.js) */
+async function flushMemorySessions() {
+  await ensureSchema();
+  for (const [key, s] of memorySessions) {
+    if (s.reset) {
+      await query('DELETE FROM messages WHERE tenant_id = $1 AND number = $2', [s.tenantId, s.number]);
+      await query('DELETE FROM sessions WHERE tenant_id = $1 AND number = $2', [s.tenantId, s.number]);
+      s.reset = false;
+    }
+    await query(
+      `INSERT INTO sessions (tenant_id, number, history) VALUES ($1, $2, '[]')
+       ON CONFLICT (tenant_id, number) DO NOTHING`,
+      [s.tenantId, s.number]
+    );
+    while (s.pending.length) {
+      const m = s.pending[0];
+      await query(
+        `INSERT INTO messages (tenant_id, number, role, content, direction, wa_message_id, tool_name,
+                               delivery_status, metadata, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [s.tenantId, s.number, m.role, m.content, m.direction, m.waMessageId, m.toolName,
+          m.entry.deliveryStatus || null, JSON.stringify(m.metadata), m.createdAt]
+      );
+      s.pending.shift();
+    }
+    await query(
+      `UPDATE sessions SET stage = COALESCE($3, stage), updated_at = GREATEST(updated_at, $4),
+              last_response_ts = GREATEST(last_response_ts, $5)
+        WHERE tenant_id = $1 AND number = $2`,
+      [s.tenantId, s.number, s.stage, s.updatedAt, s.lastResponseAt]
+    );
+    if (s.pending.length) continue; // chegou mais coisa durante os awaits: fica para a próxima
+    memorySessions.delete(key);
+    // O banco agora tem o histórico inteiro; o da memória só vale se partiu do cache
+    if (s.seeded) historyCache.set(key, { history: s.history, timestamp: Date.now() });
+    else historyCache.delete(key);
+  }
+}
+
+registerFallback('conversations', {
+  pending: () => [...memorySessions.values()].reduce((n, s) => n + s.pending.length + (s.reset ? 1 : 0), 0),
+  flush: flushMemorySessions,
+});
+
+/** Garante que a linha do número exista no tenant atual (idempotente) */
+export async function ensureSessionRow(numberRaw) {
+  const num = normalizeNumber(numberRaw);
+  await withSession(num, async () => {
+    await ensureSchema();
+    await query(
+      `INSERT INTO sessions(tenant_id, number, history, last_response_ts)
+       VALUES ($1, $2, '[]', NULL)
+       ON CONFLICT (tenant_id, number) DO NOTHING`,
+      [currentTenantId(), num]
+    );
+  }, () => {}); // na memória a sessão nasce com a primeira mensagem
 }
 
 /**
@@ -55,17 +176,22 @@ export async function getHistory(numberRaw) {
   
   // Tenta obter do cache primeiro
   const cached = getCacheEntry(number);
-  if (cached !== null) return cached;
+  if (cached !== null && !memorySessions.has(cacheKey(number))) return cached;
   
   try {
-    await ensureSessionRow(number);
-    const { rows } = await query('SELECT history FROM sessions WHERE number = $1', [number]);
-    const h = rows?.[0]?.history;
-    const history = Array.isArray(h) ? h : (h ?? []);
-    
-    // Armazena no cache
-    setCacheEntry(number, history);
-    return history;
+    return await withSession(number, async () => {
+      await ensureSessionRow(number);
+      const { rows } = await query(
+        `SELECT role, content, tool_name, delivery_status, metadata, created_at
+           FROM messages WHERE tenant_id = $1 AND number = $2 ORDER BY id`,
+        [currentTenantId(), number]
+      );
+      const history = rows.map(toEntry);
+
+      // Armazena no cache
+      setCacheEntry(number, history);
+      return history;
+    }, () => memorySession(number).history);
   } catch (err) {
     console.error('Error fetching history for', number, err.message);
     return [];
@@ -73,31 +199,146 @@ export async function getHistory(numberRaw) {
 }
 
 /**
- * Append no histórico com UPSERT seguro.
- * OTIMIZAÇÃO: Usa cache e single query com array_append do PostgreSQL
+ * Sessão do número, só leitura (uso administrativo): ao contrário de
+ * getHistory, não cria a linha em `sessions` nem passa pelo cache.
+ * @returns {Promise<{history: object[]}|null>} null quando o número não tem sessão
  */
-export async function appendToHistory(numberRaw, role, content) {
+export async function findSession(numberRaw) {
   const number = normalizeNumber(numberRaw);
-  try {
-    await ensureSessionRow(number);
-    const current = await getHistory(number);
-    const next = [...current, { role, content }];
-    
-    // Atualiza banco e cache simultaneamente
-    await query(
-      'UPDATE sessions SET history = $2 WHERE number = $1',
-      [number, JSON.stringify(next)]
+  return withSession(number, async () => {
+    await ensureSchema();
+    const tenant = currentTenantId();
+    const found = await query('SELECT 1 FROM sessions WHERE tenant_id = $1 AND number = $2', [tenant, number]);
+    if (!found.rows.length) return null;
+    const { rows } = await query(
+      `SELECT role, content, tool_name, delivery_status, metadata, created_at
+         FROM messages WHERE tenant_id = $1 AND number = $2 ORDER BY id`,
+      [tenant, number]
     );
-    
-    // Atualiza cache
-    setCacheEntry(number, next);
-    return next;
+    return { history: rows.map(toEntry) };
+  }, () => {
+    const s = memorySessions.get(cacheKey(number));
+    return s ? { history: [...s.history] } : null;
+  });
+}
+
+/**
+ * Acrescenta uma mensagem ao histórico (um INSERT em `messages`).
+ *
+ * `extra` vai junto na entrada (ex.: { promptVersion } nas mensagens da
+ * Luna, ver prompts.js); só role/content seguem para o modelo. Chaves com
+ * coluna própria: waMessageId, toolName, outboundId (id na fila de saída —
+ * a entrega atualiza delivery_status) e direction.
+ */
+export async function appendToHistory(numberRaw, role, content, extra = {}) {
+  const number = normalizeNumber(numberRaw);
+  const { waMessageId, toolName, outboundId, direction, ...metadata } = extra;
+  const row = {
+    role,
+    content: String(content ?? ''),
+    direction: direction || DIRECTIONS[role] || 'internal',
+    waMessageId: waMessageId || null,
+    toolName: toolName || null,
+    outboundId: outboundId || null,
+    metadata,
+  };
+  try {
+    return await withSession(number, async () => {
+      await ensureSessionRow(number);
+      const { rows } = await query(
+        `INSERT INTO messages (tenant_id, number, role, content, direction, wa_message_id, tool_name,
+                               outbound_id, delivery_status, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING role, content, tool_name, delivery_status, metadata, created_at`,
+        [
+          currentTenantId(),
+          number,
+          row.role,
+          row.content,
+          row.direction,
+          row.waMessageId,
+          row.toolName,
+          typeof outboundId === 'number' ? outboundId : null,
+          typeof outboundId === 'number' ? 'queued' : null,
+          JSON.stringify(metadata),
+        ]
+      );
+      await query(
+        'UPDATE sessions SET updated_at = now() WHERE tenant_id = $1 AND number = $2',
+        [currentTenantId(), number]
+      );
+
+      // Atualiza cache (sem cache, recarrega do banco)
+      const cached = getCacheEntry(number);
+      if (cached === null) return getHistory(number);
+      const next = [...cached, toEntry(rows[0])];
+      setCacheEntry(number, next);
+      return next;
+    }, () => {
+      const s = memorySession(number);
+      const createdAt = new Date();
+      const entry = toEntry({
+        role: row.role,
+        content: row.content,
+        tool_name: row.toolName,
+        delivery_status: outboundId ? 'queued' : null,
+        metadata,
+        created_at: createdAt,
+      });
+      s.pending.push({ ...row, entry, createdAt });
+      s.history = [...s.history, entry];
+      s.updatedAt = createdAt;
+      return s.history;
+    });
   } catch (err) {
     console.error('Error updating history for', number, err.message);
     return [];
   }
 }
 
+const isMemoryOutboundId = (id) => typeof id === 'string' && id.startsWith('mem-');
+
+/**
+ * Atualiza o status de entrega das mensagens ligadas a um envio da fila
+ * de saída (outbox.js): queued | sent | failed | cancelled. Reenvio da
+ * dead-letter gera outro id na fila: passe-o em `nextOutboundId`.
+ * Entradas já em cache mantêm o status antigo até expirarem.
+ */
+export async function setDeliveryStatus(outboundId, status, nextOutboundId = null) {
+  const inMemory = () => {
+    for (const s of memorySessions.values()) {
+      for (const m of s.pending) {
+        if (m.outboundId === outboundId) m.entry.deliveryStatus = status;
+      }
+    }
+  };
+  // Ids da fila em memória (outbox.js, "mem-N") não existem no banco; os do
+  // banco podem chegar como string (BIGINT no node-postgres)
+  if (isMemoryOutboundId(outboundId)) return inMemory();
+  await withFallback(async () => {
+    await ensureSchema();
+    await query(
+      `UPDATE messages SET delivery_status = $2, status_at = now(), outbound_id = COALESCE($3, outbound_id)
+        WHERE outbound_id = $1`,
+      [outboundId, status, nextOutboundId]
+    );
+  }, inMemory);
+}
+
+/** Registra que uma resposta saiu para o número agora (last_response_ts) */
+export async function touchLastResponse(numberRaw) {
+  const number = normalizeNumber(numberRaw);
+  await withSession(number, async () => {
+    await ensureSchema();
+    await query(
+      'UPDATE sessions SET last_response_ts = now() WHERE tenant_id = $1 AND number = $2',
+      [currentTenantId(), number]
+    );
+  }, () => {
+    memorySession(number).lastResponseAt = new Date();
+  });
+}
+
 /**
  * Reset (delete) a sessão do número.
  * OTIMIZAÇÃO: Limpa cache junto com o banco
@@ -105,7 +346,15 @@ export async function appendToHistory(numberRaw, role, content) {
 export async function resetHistory(numberRaw) {
   const number = normalizeNumber(numberRaw);
   try {
-    await query('DELETE FROM sessions WHERE number = $1', [number]);
+    await withSession(number, async () => {
+      await ensureSchema();
+      await query('DELETE FROM messages WHERE tenant_id = $1 AND number = $2', [currentTenantId(), number]);
+      await query('DELETE FROM sessions WHERE tenant_id = $1 AND number = $2', [currentTenantId(), number]);
+    }, () => {
+      // Apaga no banco quando ele voltar
+      memorySessions.delete(cacheKey(number));
+      memorySession(number, { fresh: true }).reset = true;
+    });
     invalidateCache(number);
   } catch (err) {
     console.error('Error resetting history for', number, err.message);
@@ -121,30 +370,47 @@ export async function resetHistory(numberRaw) {
  * state is appended to the history. This helper walks the history
  * from the end backwards and returns the most recent valid state.
  * If no state is found, it returns a default initial state with
- * `step: 'intro'`.
+ * `step: 'intro'` and `stage: 'INTRO'` (see stateMachine.js).
  *
  * @param {string} numberRaw WhatsApp number
  * @returns {Promise<object>} The last saved state or a default state
  */
 export async function getSessionState(numberRaw) {
   const number = normalizeNumber(numberRaw);
-  const history = await getHistory(number);
-  // walk backwards to find the last meta entry
-  for (let i = history.length - 1; i >= 0; i--) {
-    const m = history[i];
-    if (m && m.role === 'meta') {
-      try {
-        const state = JSON.parse(m.content);
-        if (state && typeof state === 'object' && state.step) {
-          return state;
-        }
-      } catch {
-        /* ignore invalid JSON */
+  // Sem histórico em cache, lê só as últimas entradas meta
+  const fromHistory = (history) => history.filter(m => m?.role === 'meta').map(m => m.content).reverse();
+  let metas = memorySessions.has(cacheKey(number)) ? null : getCacheEntry(number);
+  metas = metas && fromHistory(metas);
+  if (!metas) {
+    try {
+      metas = await withSession(number, async () => {
+        await ensureSessionRow(number);
+        const { rows } = await query(
+          `SELECT content FROM messages
+            WHERE tenant_id = $1 AND number = $2 AND role = 'meta'
+            ORDER BY id DESC LIMIT 20`,
+          [currentTenantId(), number]
+        );
+        return rows.map(r => r.content);
+      }, () => fromHistory(memorySession(number).history));
+    } catch (err) {
+      console.error('Error fetching state for', number, err.message);
+      metas = [];
+    }
+  }
+  // most recent first: return the first valid state
+  for (const content of metas) {
+    try {
+      const state = JSON.parse(content);
+      if (state && typeof state === 'object' && state.step) {
+        return state;
       }
+    } catch {
+      /* ignore invalid JSON */
     }
   }
   // default initial state
-  return { step: 'intro', videoSent: false, leadName: null, responsibleOk: null };
+  return { step: 'intro', stage: 'INTRO', forwarded: false, videoSent: false, leadName: null, responsibleOk: null };
 }
 
 /**
@@ -161,7 +427,58 @@ export async function saveSessionState(numberRaw, state) {
   const number = normalizeNumber(numberRaw);
   try {
     await appendToHistory(number, 'meta', JSON.stringify(state));
+    if (state?.stage) {
+      await withSession(number, () => query(
+        'UPDATE sessions SET stage = $3 WHERE tenant_id = $1 AND number = $2',
+        [currentTenantId(), number, state.stage]
+      ), () => {
+        memorySession(number).stage = state.stage;
+      });
+    }
   } catch (err) {
     console.error('Error saving state for', number, err.message);
   }
 }
+
+/**
+ * Lista sessões do tenant atual com paginação (uso administrativo).
+ *
+ * @param {object} opts
+ * @param {number} opts.page         Página (1-based)
+ * @param {number} opts.pageSize     Itens por página (máx. 200)
+ * @param {string} [opts.stage]      Filtra pelo estágio atual (INTRO, EXPLORING…)
+ * @param {Date}   [opts.activeSince] Última atividade a partir de
+ * @param {Date}   [opts.activeBefore] Última atividade antes de
+ * @returns {Promise<{total: number, page: number, pageSize: number, items: object[]}>}
+ */
+export async function listSessions({ page = 1, pageSize = 50, stage, activeSince, activeBefore } = {}) {
+  await ensureSchema();
+  const size = Math.min(Math.max(Number(pageSize) || 50, 1), 200);
+  const current = Math.max(Number(page) || 1, 1);
+  const where = ['tenant_id = $1'];
+  const params = [currentTenantId()];
+  if (stage) {
+    params.push(String(stage).toUpperCase());
+    where.push(`COALESCE(stage, 'INTRO') = $${params.length}`);
+  }
+  if (activeSince) {
+    params.push(activeSince);
+    where.push(`updated_at >= $${params.length}`);
+  }
+  if (activeBefore) {
+    params.push(activeBefore);
+    where.push(`updated_at < $${params.length}`);
+  }
+  const whereSql = `WHERE ${where.join(' AND ')}`;
+  const total = await query(`SELECT COUNT(*)::int AS n FROM sessions ${whereSql}`, params);
+  const { rows } = await query(
+    `SELECT number, COALESCE(stage, 'INTRO') AS stage, updated_at, last_response_ts,
+            (SELECT COUNT(*) FROM messages m
+              WHERE m.tenant_id = sessions.tenant_id AND m.number = sessions.number)::int AS entries
+       FROM sessions ${whereSql}
+      ORDER BY updated_at DESC NULLS LAST
+      LIMIT ${size} OFFSET ${(current - 1) * size}`,
+    params
+  );
+  return { total: total.rows[0].n, page: current, pageSize: size, items: rows };
+}
@@ -0,0 +1,78 @@
+// src/crmWebhook.js
+
+/**
+ * Webhook de saída para o CRM, disparado a cada handoff.
+ *
+ * Opcional: só roda com CRM_WEBHOOK_URL configurado. O corpo é o registro do
+ * lead (leads.toLeadRecord) em JSON, e com CRM_WEBHOOK_SECRET cada POST leva
+ * os headers:
+ *   - X-Luna-Timestamp: epoch em segundos
+ *   - X-Luna-Signature: sha256=<hex HMAC-SHA256 de `${timestamp}.${corpo}`>
+ * O CRM deve recalcular a assinatura sobre o corpo bruto e recusar
+ * timestamps muito antigos.
+ *
+ * Respostas não-2xx ou erros de rede são refeitos com backoff exponencial
+ * (CRM_WEBHOOK_MAX_ATTEMPTS, padrão 5) e o resultado fica em leads.crm_status.
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import { setCrmStatus } from './leads.js';
+
+const CRM_WEBHOOK_URL = process.env.CRM_WEBHOOK_URL || '';
+const CRM_WEBHOOK_SECRET = process.env.CRM_WEBHOOK_SECRET || '';
+const MAX_ATTEMPTS = Number(process.env.CRM_WEBHOOK_MAX_ATTEMPTS || 5);
+const BASE_BACKOFF_MS = Number(process.env.CRM_WEBHOOK_BACKOFF_MS || 2000);
+const TIMEOUT_MS = 10000;
+
+function delay(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+/** Assinatura HMAC enviada em X-Luna-Signature */
+export function signPayload(body, timestamp, secret = CRM_WEBHOOK_SECRET) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function isCrmWebhookEnabled() {
+  return !!CRM_WEBHOOK_URL;
+}
+
+/**
+ * Envia o registro do lead ao CRM com retries. Nunca lança: o resultado é
+ * gravado em leads.crm_status e devolvido como boolean.
+ *
+ * @param {object} record Registro do lead (toLeadRecord)
+ * @returns {Promise<boolean>}
+ */
+export async function sendLeadToCrm(record) {
+  if (!CRM_WEBHOOK_URL) return false;
+  const body = JSON.stringify({ event: 'lead.handoff', lead: record });
+  let lastError = '';
+  await setCrmStatus(record.number, 'pending', { attempts: 0 }).catch(() => {});
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = { 'Content-Type': 'application/json', 'X-Luna-Timestamp': String(timestamp) };
+    if (CRM_WEBHOOK_SECRET) headers['X-Luna-Signature'] = signPayload(body, timestamp);
+    try {
+      const res = await axios.post(CRM_WEBHOOK_URL, body, {
+        headers,
+        timeout: TIMEOUT_MS,
+        validateStatus: () => true,
+      });
+      if (res.status >= 200 && res.status < 300) {
+        console.log(`📤 CRM: lead ${record.number} entregue (tentativa ${attempt})`);
+        await setCrmStatus(record.number, 'delivered', { attempts: attempt }).catch(() => {});
+        return true;
+      }
+      lastError = `HTTP ${res.status}`;
+    } catch (err) {
+      lastError = err?.message || String(err);
+    }
+    console.warn(`⚠️ CRM: falha ao entregar lead ${record.number} (${attempt}/${MAX_ATTEMPTS}): ${lastError}`);
+    if (attempt < MAX_ATTEMPTS) await delay(BASE_BACKOFF_MS * 2 ** (attempt - 1));
+  }
+
+  console.error(`❌ CRM: lead ${record.number} não entregue após ${MAX_ATTEMPTS} tentativas`);
+  await setCrmStatus(record.number, 'failed', { attempts: MAX_ATTEMPTS, error: lastError }).catch(() => {});
+  return false;
+}
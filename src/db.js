@@ -4,6 +4,8 @@
  * Database helper for PostgreSQL.
  * Suporta DATABASE_URL OU variáveis PG_* separadas.
  * SSL opcional com PG_SSL=true (útil para Railway/Render/Neon/Supabase).
+ * O schema é criado pelas migrations (migrations.js); com o banco fora do
+ * ar o bot segue em memória (storage.js).
  */
 
 import { Pool } from 'pg';
@@ -25,9 +27,34 @@ const sslEnabled = String(process.env.PG_SSL || '').toLowerCase() === 'true';
 const pool = new Pool({
   ...baseConfig,
   ssl: sslEnabled ? { rejectUnauthorized: false } : undefined,
+  // Banco inalcançável falha rápido (e cai no fallback, ver storage.js) em vez de travar a resposta
+  connectionTimeoutMillis: Number(process.env.PG_CONNECT_TIMEOUT_MS || 5000),
 });
 
-export const query = (text, params = []) => pool.query(text, params);
+// Conexão ociosa derrubada pelo servidor (restart/failover): sem este handler o processo cai
+pool.on('error', (err) => {
+  console.error('⚠️ Conexão do pool PostgreSQL encerrada:', err.message);
+});
+
+// Banco marcado como fora (storage.js): falha na hora em vez de esperar o timeout de conexão
+let available = true;
+const unavailable = () =>
+  Promise.reject(Object.assign(new Error('PostgreSQL indisponível (modo memória)'), { code: 'EDBDOWN' }));
+
+export function setDatabaseAvailable(value) {
+  available = Boolean(value);
+}
+
+export const query = (text, params = []) => (available ? pool.query(text, params) : unavailable());
+
+/** Probe de saúde: vai ao banco mesmo com ele marcado como fora */
+export const ping = () => pool.query('SELECT 1');
+
+/** Cliente dedicado (transações, advisory locks) — devolva com client.release() */
+export const getClient = () => (available ? pool.connect() : unavailable());
+
+/** Encerra o pool (scripts de linha de comando, ex.: npm run migrate) */
+export const closePool = () => pool.end();
 
 // Teste de conexão amigável na subida
 (async () => {
@@ -0,0 +1,219 @@
+// src/experiments.js
+
+/**
+ * Testes A/B de prompt e de mensagem de abertura.
+ *
+ * Uma variante (`prompt_variants`) combina uma versão de prompt (prompts.js)
+ * e/ou um texto de abertura de campanha, com um peso. Cada número novo (sem
+ * mensagem da Luna no histórico) é sorteado por peso entre as variantes
+ * ativas e a escolha fica gravada em `variant_assignments` — o mesmo lead
+ * nunca troca de variante no meio da conversa.
+ *
+ * Funil por variante (colunas *_at da atribuição, preenchidas uma vez):
+ *   - replied:   lead respondeu a uma mensagem da Luna
+ *   - exploring: chegou em EXPLORING
+ *   - handoff:   foi encaminhado ao vendedor (CLOSED_FORWARDED)
+ *   - rejected:  recusou (CLOSED_REJECTED)
+ *
+ * Sem variantes ativas nada muda: vale o prompt ativo do tenant. Variante
+ * desativada mantém as atribuições (e as métricas), mas os leads dela
+ * voltam a usar o prompt ativo.
+ */
+
+import { query } from './db.js';
+import { ensureSchema } from './migrations.js';
+import { normalizeNumber } from './uazapiClient.js';
+import { currentTenantId } from './tenants.js';
+import { getActivePrompt, getPromptVersion } from './prompts.js';
+import { isDatabaseUp } from './storage.js';
+
+const FUNNEL = {
+  replied: 'replied_at',
+  exploring: 'exploring_at',
+  handoff: 'handoff_at',
+  rejected: 'rejected_at',
+};
+
+function toVariant(row) {
+  return {
+    id: row.id,
+    name: row.name || row.id,
+    promptVersion: row.prompt_version ?? null,
+    opener: row.opener || null,
+    weight: row.weight,
+    active: row.active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/** Sorteio ponderado; variantes com peso 0 nunca são sorteadas */
+export function pickWeighted(variants, rand = Math.random) {
+  const pool = variants.filter(v => v.weight > 0);
+  const total = pool.reduce((sum, v) => sum + v.weight, 0);
+  if (!total) return null;
+  let r = rand() * total;
+  for (const v of pool) {
+    r -= v.weight;
+    if (r < 0) return v;
+  }
+  return pool[pool.length - 1];
+}
+
+/** Variante atribuída ao número (ou null) */
+export async function getAssignedVariant(numberRaw) {
+  await ensureSchema();
+  const { rows } = await query(
+    `SELECT v.* FROM variant_assignments a
+       JOIN prompt_variants v ON v.tenant_id = a.tenant_id AND v.id = a.variant_id
+      WHERE a.tenant_id = $1 AND a.number = $2`,
+    [currentTenantId(), normalizeNumber(numberRaw)]
+  );
+  return rows[0] ? toVariant(rows[0]) : null;
+}
+
+/**
+ * Devolve a variante do número, sorteando uma se ele ainda não tem.
+ * Concorrência: a atribuição usa ON CONFLICT DO NOTHING e relê a linha,
+ * então duas mensagens simultâneas acabam na mesma variante.
+ */
+export async function assignVariant(numberRaw) {
+  const number = normalizeNumber(numberRaw);
+  const existing = await getAssignedVariant(number);
+  if (existing) return existing;
+  const { rows } = await query(
+    'SELECT * FROM prompt_variants WHERE tenant_id = $1 AND active',
+    [currentTenantId()]
+  );
+  const chosen = pickWeighted(rows.map(toVariant));
+  if (!chosen) return null;
+  await query(
+    `INSERT INTO variant_assignments (tenant_id, number, variant_id) VALUES ($1, $2, $3)
+     ON CONFLICT (tenant_id, number) DO NOTHING`,
+    [currentTenantId(), number, chosen.id]
+  );
+  const assigned = await getAssignedVariant(number);
+  if (assigned) console.log(`🧪 ${number} → variante ${assigned.id}`);
+  return assigned;
+}
+
+/**
+ * Prompt (template) para a próxima resposta ao número: o da variante, se
+ * houver, senão o ativo do tenant.
+ *
+ * @param {string} numberRaw
+ * @param {object} [opts] { assign } — sorteia variante para número novo
+ * @returns {Promise<{version: number|string, content: string, variant: string|null}>}
+ */
+export async function resolvePrompt(numberRaw, { assign = false } = {}) {
+  let variant = null;
+  try {
+    // Banco fora: sem variante (vale o prompt ativo em cache ou o padrão)
+    if (isDatabaseUp()) variant = assign ? await assignVariant(numberRaw) : await getAssignedVariant(numberRaw);
+  } catch (err) {
+    console.error('Error resolving variant for', numberRaw, err.message);
+  }
+  if (variant?.active && variant.promptVersion != null) {
+    const version = await getPromptVersion(variant.promptVersion).catch(() => null);
+    if (version) return { version: version.version, content: version.content, variant: variant.id };
+    console.warn(`⚠️ Variante ${variant.id} aponta para prompt v${variant.promptVersion} inexistente — usando o ativo.`);
+  }
+  const active = await getActivePrompt();
+  return { ...active, variant: variant?.id || null };
+}
+
+/**
+ * Marca uma etapa do funil para o número (se ele estiver em um teste).
+ * @param {string} numberRaw
+ * @param {'replied'|'exploring'|'handoff'|'rejected'} event
+ */
+export async function recordVariantEvent(numberRaw, event) {
+  const column = FUNNEL[event];
+  if (!column || !isDatabaseUp()) return;
+  try {
+    await ensureSchema();
+    await query(
+      `UPDATE variant_assignments SET ${column} = now()
+        WHERE tenant_id = $1 AND number = $2 AND ${column} IS NULL`,
+      [currentTenantId(), normalizeNumber(numberRaw)]
+    );
+  } catch (err) {
+    console.error('Error recording variant event', event, 'for', numberRaw, err.message);
+  }
+}
+
+// ===== ADMIN =====
+
+/**
+ * Cria/atualiza uma variante.
+ * @param {string} id
+ * @param {object} data { name, promptVersion, opener, weight, active }
+ */
+export async function upsertVariant(id, data = {}) {
+  await ensureSchema();
+  const weight = data.weight == null ? null : Math.max(0, Math.floor(Number(data.weight) || 0));
+  const { rows } = await query(
+    `INSERT INTO prompt_variants (tenant_id, id, name, prompt_version, opener, weight, active)
+     VALUES ($1, $2, $3, $4, $5, COALESCE($6, 1), COALESCE($7, true))
+     ON CONFLICT (tenant_id, id) DO UPDATE SET
+       name           = COALESCE($3, prompt_variants.name),
+       prompt_version = CASE WHEN $8 THEN $4 ELSE prompt_variants.prompt_version END,
+       opener         = CASE WHEN $9 THEN $5 ELSE prompt_variants.opener END,
+       weight         = COALESCE($6, prompt_variants.weight),
+       active         = COALESCE($7, prompt_variants.active),
+       updated_at     = now()
+     RETURNING *`,
+    [
+      currentTenantId(),
+      id,
+      data.name ?? null,
+      data.promptVersion ?? null,
+      data.opener ?? null,
+      weight,
+      typeof data.active === 'boolean' ? data.active : null,
+      // null explícito limpa o campo; omitido mantém
+      data.promptVersion !== undefined,
+      data.opener !== undefined,
+    ]
+  );
+  return toVariant(rows[0]);
+}
+
+/**
+ * Variantes do tenant com o funil de cada uma (contagens e taxas sobre os
+ * números atribuídos).
+ */
+export async function getVariantMetrics() {
+  await ensureSchema();
+  const { rows } = await query(
+    `SELECT v.*,
+            COUNT(a.number)::int          AS assigned,
+            COUNT(a.replied_at)::int      AS replied,
+            COUNT(a.exploring_at)::int    AS exploring,
+            COUNT(a.handoff_at)::int      AS handoff,
+            COUNT(a.rejected_at)::int     AS rejected
+       FROM prompt_variants v
+       LEFT JOIN variant_assignments a ON a.tenant_id = v.tenant_id AND a.variant_id = v.id
+      WHERE v.tenant_id = $1
+      GROUP BY v.tenant_id, v.id
+      ORDER BY v.created_at`,
+    [currentTenantId()]
+  );
+  const rate = (n, total) => (total ? Math.round((n / total) * 1000) / 10 : null);
+  return rows.map(r => ({
+    ...toVariant(r),
+    funnel: {
+      assigned: r.assigned,
+      replied: r.replied,
+      exploring: r.exploring,
+      handoff: r.handoff,
+      rejected: r.rejected,
+    },
+    ratesPct: {
+      replied: rate(r.replied, r.assigned),
+      exploring: rate(r.exploring, r.assigned),
+      handoff: rate(r.handoff, r.assigned),
+      rejected: rate(r.rejected, r.assigned),
+    },
+  }));
+}
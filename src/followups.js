@@ -0,0 +1,176 @@
+// src/followups.js
+
+/**
+ * Cadência automática de follow-up para leads que pararam de responder.
+ *
+ * A cada FOLLOWUP_TICK_MS procura sessões em EXPLORING cuja última mensagem
+ * (fora as `meta`) é da Luna e está sem resposta há FOLLOWUP_AFTER_HOURS.
+ * Pede ao modelo uma retomada curta e envia, até FOLLOWUP_MAX_ATTEMPTS vezes
+ * por silêncio. Estágios encerrados e chats com `[handoff]` são ignorados,
+ * assim como o horário de silêncio (FOLLOWUP_QUIET_HOURS).
+ *
+ * O contador de tentativas fica na tabela `followups` (sobrevive a restart,
+ * por tenant + número) e é zerado quando o lead volta a escrever (resetFollowups).
+ */
+
+import { query } from './db.js';
+import { ensureSchema } from './migrations.js';
+import { renderPrompt, buildSessionContext } from './prompt.js';
+import { resolvePrompt } from './experiments.js';
+import { normalizeNumber } from './uazapiClient.js';
+import { queueMessage } from './queue.js';
+import { appendToHistory, getHistory } from './conversationStore.js';
+import { isDatabaseUp } from './storage.js';
+import { generateReplyWithTools } from './openaiClient.js';
+import { STAGES, loadSession } from './stateMachine.js';
+import { isWithinWindow } from './timeUtils.js';
+import { isSuppressed } from './suppression.js';
+import { isPaused } from './humanTakeover.js';
+import { previewSeller } from './sellers.js';
+import { currentTenantId, getTenant, runWithTenant } from './tenants.js';
+
+const AFTER_HOURS = Number(process.env.FOLLOWUP_AFTER_HOURS || 24);
+const MAX_ATTEMPTS = Number(process.env.FOLLOWUP_MAX_ATTEMPTS ?? 2);
+const QUIET_HOURS = process.env.FOLLOWUP_QUIET_HOURS || '20:00-09:00';
+const TICK_MS = Number(process.env.FOLLOWUP_TICK_MS || 600000); // 10 min
+const LOOKBACK_DAYS = Number(process.env.FOLLOWUP_LOOKBACK_DAYS || 7);
+const BATCH_SIZE = 50;
+
+const FOLLOWUP_INSTRUCTION = `
+
+---
+
+## FOLLOW-UP (mensagem automática)
+O lead parou de responder. Escreva UMA mensagem curta (1 frase) retomando a conversa de forma natural e sem pressão.
+Não repita a sua última mensagem, não se apresente de novo e não chame handoff. Use send_text.`;
+
+/** Lead respondeu: zera a cadência do número */
+export async function resetFollowups(numberRaw) {
+  const number = normalizeNumber(numberRaw);
+  if (!isDatabaseUp()) return; // banco fora: sem follow-ups até ele voltar
+  try {
+    await ensureSchema();
+    await query('DELETE FROM followups WHERE tenant_id = $1 AND number = $2', [currentTenantId(), number]);
+  } catch (err) {
+    console.error('Error resetting followups for', number, err.message);
+  }
+}
+
+/**
+ * Reserva uma tentativa de forma atômica (evita follow-up duplo entre
+ * instâncias ou ticks sobrepostos). Retorna o número da tentativa ou null.
+ */
+async function claimAttempt(number) {
+  const { rows } = await query(
+    `INSERT INTO followups (tenant_id, number, attempts, last_attempt_at)
+     VALUES ($4, $1, 1, now())
+     ON CONFLICT (tenant_id, number) DO UPDATE
+        SET attempts = followups.attempts + 1, last_attempt_at = now()
+      WHERE followups.attempts < $2
+        AND (followups.last_attempt_at IS NULL
+             OR followups.last_attempt_at < now() - make_interval(hours => $3::int))
+     RETURNING attempts`,
+    [number, MAX_ATTEMPTS, AFTER_HOURS, currentTenantId()]
+  );
+  return rows[0]?.attempts ?? null;
+}
+
+/** A conversa está parada esperando o lead? */
+function isAwaitingLead(history) {
+  if (history.some(m => m?.role === 'assistant' && m.content === '[handoff]')) return false;
+  const last = [...history].reverse().find(m => m?.role === 'user' || m?.role === 'assistant');
+  return last?.role === 'assistant';
+}
+
+function pickFollowupText(result) {
+  for (const tc of result?.tool_calls || []) {
+    if (tc?.function?.name !== 'send_text') continue;
+    try {
+      const args = JSON.parse(tc.function.arguments || '{}');
+      if (args.message?.trim()) return args.message.trim();
+    } catch {}
+  }
+  return (result?.content || '').trim();
+}
+
+async function sendFollowup(number) {
+  const session = await loadSession(number);
+  if (session.forwarded || isPaused(session) || session.stage !== STAGES.EXPLORING) return;
+  const history = await getHistory(number);
+  if (!isAwaitingLead(history)) return;
+  if (await isSuppressed(number)) return;
+
+  const attempt = await claimAttempt(number);
+  if (!attempt) return;
+
+  const historyForAI = history.filter(m => m.role === 'user' || m.role === 'assistant');
+  const seller = await previewSeller(number, session.segment);
+  const prompt = await resolvePrompt(number);
+  const basePrompt = renderPrompt(prompt.content, { humanName: seller?.name }).trim();
+  const context = await buildSessionContext(number, session);
+  const result = await generateReplyWithTools(historyForAI, number, basePrompt + FOLLOWUP_INSTRUCTION, { context });
+  const text = pickFollowupText(result);
+  if (!text) {
+    console.warn('⚠️ Follow-up sem texto gerado para', number);
+    return;
+  }
+  const outboundId = await queueMessage(number, text, { bypassBuffer: true });
+  if (outboundId) {
+    await appendToHistory(number, 'assistant', text, {
+      promptVersion: prompt.version,
+      ...(prompt.variant ? { variant: prompt.variant } : {}),
+      toolName: 'followup',
+      outboundId,
+    });
+    console.log(`🔔 Follow-up ${attempt}/${MAX_ATTEMPTS} enviado para ${number}`);
+  }
+}
+
+let running = false;
+
+/** Um ciclo do agendador de follow-ups */
+export async function runFollowupTick() {
+  if (running || MAX_ATTEMPTS <= 0) return;
+  if (isWithinWindow(QUIET_HOURS) || !isDatabaseUp()) return;
+  running = true;
+  try {
+    await ensureSchema();
+    const { rows } = await query(
+      `SELECT s.tenant_id, s.number
+         FROM sessions s
+         LEFT JOIN followups f ON f.tenant_id = s.tenant_id AND f.number = s.number
+        WHERE s.last_response_ts < now() - make_interval(hours => $1::int)
+          AND s.last_response_ts > now() - make_interval(days => $2::int)
+          AND COALESCE(f.attempts, 0) < $3
+        ORDER BY s.last_response_ts
+        LIMIT $4`,
+      [AFTER_HOURS, LOOKBACK_DAYS, MAX_ATTEMPTS, BATCH_SIZE]
+    );
+    for (const row of rows) {
+      if (isWithinWindow(QUIET_HOURS)) break;
+      try {
+        const tenant = await getTenant(row.tenant_id);
+        if (!tenant || tenant.active === false) continue;
+        await runWithTenant(tenant, () => sendFollowup(row.number));
+      } catch (err) {
+        console.error('❌ Erro no follow-up para', row.number, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('❌ Erro no agendador de follow-ups:', err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/** Inicia o agendador de follow-ups (chamado uma vez no boot) */
+export function startFollowupScheduler() {
+  if (MAX_ATTEMPTS <= 0) {
+    console.log('🔕 Follow-ups desativados (FOLLOWUP_MAX_ATTEMPTS=0)');
+    return null;
+  }
+  const timer = setInterval(() => { runFollowupTick(); }, TICK_MS);
+  timer.unref?.();
+  console.log(`🔔 Follow-ups ativos: após ${AFTER_HOURS}h sem resposta, até ${MAX_ATTEMPTS}x, silêncio ${QUIET_HOURS}`);
+  return timer;
+}
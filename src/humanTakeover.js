@@ -0,0 +1,117 @@
+// src/humanTakeover.js
+
+/**
+ * Modo "humano assumiu" por chat.
+ *
+ * Enquanto o flag `humanOwned` do estado da sessão estiver ativo, o webhook
+ * continua registrando as mensagens do lead no histórico, mas a Luna não
+ * gera resposta (evita falar por cima do vendedor). O flag é ligado pela
+ * ferramenta `handoff`, por rota admin ou por comando do vendedor via
+ * WhatsApp ("/pausar 5511…", "/retomar 5511…"), e expira sozinho depois de
+ * HUMAN_TAKEOVER_HOURS (0 = sem expiração).
+ */
+
+import { saveSessionState } from './conversationStore.js';
+import { normalizeNumber } from './uazapiClient.js';
+import { loadSession } from './stateMachine.js';
+import { TIMEZONE } from './timeUtils.js';
+
+const TAKEOVER_HOURS = Number(process.env.HUMAN_TAKEOVER_HOURS ?? 72);
+
+/** O chat está com um humano agora? (considera a expiração) */
+export function isPaused(state, now = new Date()) {
+  if (!state?.humanOwned) return false;
+  if (!state.pausedUntil) return true;
+  return new Date(state.pausedUntil) > now;
+}
+
+/** Pausado mas já expirado — deve ser liberado */
+export function isPauseExpired(state, now = new Date()) {
+  return !!state?.humanOwned && !!state.pausedUntil && new Date(state.pausedUntil) <= now;
+}
+
+/**
+ * Marca o chat como do humano.
+ * @param {string} numberRaw
+ * @param {object} opts { by: 'handoff' | 'admin' | 'operator:<numero>', hours }
+ * @returns {Promise<object>} Novo estado
+ */
+export async function pauseChat(numberRaw, { by = 'admin', hours = TAKEOVER_HOURS } = {}) {
+  const number = normalizeNumber(numberRaw);
+  const state = await loadSession(number);
+  const h = Number(hours);
+  const now = new Date();
+  const next = {
+    ...state,
+    humanOwned: true,
+    pausedAt: now.toISOString(),
+    pausedBy: by,
+    pausedUntil: h > 0 ? new Date(now.getTime() + h * 3600000).toISOString() : null,
+  };
+  await saveSessionState(number, next);
+  console.log(`⏸️ Chat ${number} pausado (${by})${next.pausedUntil ? ' até ' + next.pausedUntil : ''}`);
+  return next;
+}
+
+/**
+ * Devolve o chat para a Luna.
+ * @param {string} numberRaw
+ * @param {object} opts { by: 'admin' | 'expiry' | 'operator:<numero>' }
+ */
+export async function resumeChat(numberRaw, { by = 'admin' } = {}) {
+  const number = normalizeNumber(numberRaw);
+  const state = await loadSession(number);
+  if (!state.humanOwned) return state;
+  const next = {
+    ...state,
+    humanOwned: false,
+    pausedUntil: null,
+    resumedAt: new Date().toISOString(),
+    resumedBy: by,
+  };
+  await saveSessionState(number, next);
+  console.log(`▶️ Chat ${number} devolvido para a Luna (${by})`);
+  return next;
+}
+
+// ===== COMANDOS DO VENDEDOR (WhatsApp) =====
+
+const COMMANDS = {
+  pausar: 'pause', pause: 'pause', assumir: 'pause',
+  retomar: 'resume', resume: 'resume', liberar: 'resume', voltar: 'resume',
+};
+
+/**
+ * Extrai comandos "/pausar <numero> [horas]" e "/retomar <numero>" do texto.
+ * Várias linhas/comandos no mesmo texto são aceitos (o buffer junta mensagens).
+ *
+ * @returns {Array<{action: 'pause'|'resume', number: string, hours?: number}>}
+ */
+export function parseOperatorCommands(text = '') {
+  const out = [];
+  const re = /\/(\w+)\s+([+\d][\d\s().-]{7,}?\d)(?:\s+(\d+)h?)?(?=\s*\/|\s*$|\s+\D)/gi;
+  let m;
+  while ((m = re.exec(String(text)))) {
+    const action = COMMANDS[m[1].toLowerCase()];
+    const number = normalizeNumber(m[2]);
+    if (!action || !number) continue;
+    out.push({ action, number, ...(m[3] ? { hours: Number(m[3]) } : {}) });
+  }
+  return out;
+}
+
+/** Executa os comandos e devolve um texto de confirmação para o vendedor */
+export async function runOperatorCommands(operatorNumber, commands) {
+  const lines = [];
+  for (const c of commands) {
+    const by = `operator:${normalizeNumber(operatorNumber)}`;
+    if (c.action === 'pause') {
+      const st = await pauseChat(c.number, { by, ...(c.hours ? { hours: c.hours } : {}) });
+      lines.push(`⏸️ ${c.number} pausado${st.pausedUntil ? ` até ${new Date(st.pausedUntil).toLocaleString('pt-BR', { timeZone: TIMEZONE })}` : ''}.`);
+    } else {
+      await resumeChat(c.number, { by });
+      lines.push(`▶️ ${c.number} devolvido para a Luna.`);
+    }
+  }
+  return lines.join('\n');
+}
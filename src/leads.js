@@ -0,0 +1,140 @@
+// src/leads.js
+
+/**
+ * Registro estruturado de leads encaminhados (tabela `leads`).
+ *
+ * Cada handoff grava/atualiza uma linha com número, nome, contato
+ * responsável, segmento, estágio, horário do handoff e um resumo da
+ * conversa — assim o lead não se perde se a notificação no WhatsApp do
+ * vendedor passar batida. `ai_summary` guarda o resumo estruturado gerado
+ * pelo modelo (summarizeConversation); `summary` é a versão em texto.
+ * As colunas crm_* acompanham a entrega ao CRM (crmWebhook.js).
+ */
+
+import { query } from './db.js';
+import { ensureSchema } from './migrations.js';
+import { normalizeNumber } from './uazapiClient.js';
+import { currentTenantId } from './tenants.js';
+
+// Quantas mensagens do lead entram no resumo em texto
+const SUMMARY_MAX_MESSAGES = 8;
+
+/**
+ * Resumo simples em texto: as últimas mensagens do lead, em ordem.
+ * @param {Array<{role: string, content: string}>} history
+ */
+export function buildTranscriptSummary(history = []) {
+  const said = history
+    .filter(m => m?.role === 'user' && typeof m.content === 'string' && m.content.trim())
+    .slice(-SUMMARY_MAX_MESSAGES)
+    .map(m => `- ${m.content.trim().replace(/\s+/g, ' ')}`);
+  return said.length ? `Lead disse:\n${said.join('\n')}` : '';
+}
+
+/**
+ * Texto do resumo estruturado (usado no aviso do handoff e em leads.summary).
+ * @param {object|null} s Resultado de summarizeConversation
+ */
+export function formatLeadSummary(s) {
+  if (!s) return '';
+  const lines = [];
+  if (s.summary) lines.push(s.summary);
+  if (s.segment) lines.push(`- Segmento: ${s.segment}`);
+  if (s.painPoints?.length) lines.push(`- Dores: ${s.painPoints.join('; ')}`);
+  if (s.objections?.length) lines.push(`- Objeções: ${s.objections.join('; ')}`);
+  if (s.questions?.length) lines.push(`- Perguntas: ${s.questions.join('; ')}`);
+  if (s.email) lines.push(`- E-mail: ${s.email}`);
+  return lines.join('\n');
+}
+
+/** Converte a linha do banco no registro enviado ao CRM */
+export function toLeadRecord(row) {
+  return {
+    tenant: row.tenant_id || null,
+    number: row.number,
+    name: row.name || null,
+    responsible: row.responsible_name || row.responsible_phone
+      ? { name: row.responsible_name || null, phone: row.responsible_phone || null }
+      : null,
+    segment: row.segment || null,
+    stage: row.stage || null,
+    handoffAt: row.handoff_at ? new Date(row.handoff_at).toISOString() : null,
+    summary: row.summary || null,
+    aiSummary: row.ai_summary || null,
+    seller: row.seller_id ? { id: row.seller_id, name: row.seller_name || null } : null,
+  };
+}
+
+/**
+ * Cria ou atualiza o lead. Campos nulos não apagam valores já gravados.
+ *
+ * @param {object} lead { number, name, responsibleName, responsiblePhone, segment, stage, seller, handoffAt, summary, aiSummary }
+ * @returns {Promise<object>} Linha gravada
+ */
+export async function upsertLead(lead) {
+  const number = normalizeNumber(lead.number);
+  await ensureSchema();
+  const { rows } = await query(
+    `INSERT INTO leads (number, name, responsible_name, responsible_phone, segment, stage, handoff_at, summary, ai_summary, seller_id, seller_name, tenant_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     ON CONFLICT (tenant_id, number) DO UPDATE SET
+       name              = COALESCE(EXCLUDED.name, leads.name),
+       responsible_name  = COALESCE(EXCLUDED.responsible_name, leads.responsible_name),
+       responsible_phone = COALESCE(EXCLUDED.responsible_phone, leads.responsible_phone),
+       segment           = COALESCE(EXCLUDED.segment, leads.segment),
+       stage             = COALESCE(EXCLUDED.stage, leads.stage),
+       handoff_at        = COALESCE(EXCLUDED.handoff_at, leads.handoff_at),
+       summary           = COALESCE(EXCLUDED.summary, leads.summary),
+       ai_summary        = COALESCE(EXCLUDED.ai_summary, leads.ai_summary),
+       seller_id         = COALESCE(EXCLUDED.seller_id, leads.seller_id),
+       seller_name       = COALESCE(EXCLUDED.seller_name, leads.seller_name),
+       updated_at        = now()
+     RETURNING *`,
+    [
+      number,
+      lead.name || null,
+      lead.responsibleName || null,
+      lead.responsiblePhone ? normalizeNumber(lead.responsiblePhone) : null,
+      lead.segment || null,
+      lead.stage || null,
+      lead.handoffAt ? new Date(lead.handoffAt) : null,
+      lead.summary || null,
+      lead.aiSummary ? JSON.stringify(lead.aiSummary) : null,
+      lead.seller?.id || null,
+      lead.seller?.name || null,
+      currentTenantId(),
+    ]
+  );
+  return rows[0];
+}
+
+export async function getLead(numberRaw) {
+  await ensureSchema();
+  const { rows } = await query(
+    'SELECT * FROM leads WHERE tenant_id = $1 AND number = $2',
+    [currentTenantId(), normalizeNumber(numberRaw)]
+  );
+  return rows[0] || null;
+}
+
+export async function listLeads({ limit = 100, offset = 0 } = {}) {
+  await ensureSchema();
+  const { rows } = await query(
+    `SELECT * FROM leads WHERE tenant_id = $3
+      ORDER BY handoff_at DESC NULLS LAST, updated_at DESC LIMIT $1 OFFSET $2`,
+    [limit, offset, currentTenantId()]
+  );
+  const total = await query('SELECT COUNT(*)::int AS n FROM leads WHERE tenant_id = $1', [currentTenantId()]);
+  return { total: total.rows[0].n, items: rows };
+}
+
+/** Atualiza o status de entrega ao CRM ('delivered' | 'failed' | 'pending') */
+export async function setCrmStatus(numberRaw, status, { attempts, error = null } = {}) {
+  await ensureSchema();
+  await query(
+    `UPDATE leads SET crm_status = $2, crm_attempts = COALESCE($3, crm_attempts),
+            crm_last_error = $4, updated_at = now()
+      WHERE tenant_id = $5 AND number = $1`,
+    [normalizeNumber(numberRaw), status, attempts ?? null, error, currentTenantId()]
+  );
+}
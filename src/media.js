@@ -0,0 +1,73 @@
+// src/media.js
+
+/**
+ * Registro de mídias nomeadas (vídeo de demonstração, apresentação em PDF…).
+ *
+ * As mídias ficam em `tenants.media` como um mapa nome → asset:
+ *   { "demo": { "url": "https://…/demo.mp4", "description": "Vídeo de 1 min" },
+ *     "tabela": "https://…/precos.pdf" }
+ * (string = só a URL). Para o tenant padrão também valem MEDIA_ASSETS_JSON
+ * (mesmo formato) e VIDEO_URL, que continua existindo como o asset "video"
+ * (sempre do tipo video).
+ *
+ * O tipo (video/image/document/audio) sai do campo `type` ou da extensão.
+ */
+
+import { currentTenant, DEFAULT_TENANT_ID } from './tenants.js';
+
+const EXTENSION_TYPES = {
+  mp4: 'video', mov: 'video', webm: 'video', '3gp': 'video',
+  jpg: 'image', jpeg: 'image', png: 'image', webp: 'image', gif: 'image',
+  pdf: 'document', doc: 'document', docx: 'document', xls: 'document', xlsx: 'document', ppt: 'document', pptx: 'document',
+  mp3: 'audio', ogg: 'audio', m4a: 'audio', opus: 'audio',
+};
+
+function parseEnvAssets() {
+  if (!process.env.MEDIA_ASSETS_JSON) return {};
+  try {
+    const data = JSON.parse(process.env.MEDIA_ASSETS_JSON);
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (err) {
+    console.error('MEDIA_ASSETS_JSON inválido:', err.message);
+    return {};
+  }
+}
+
+const envAssets = parseEnvAssets();
+
+export function inferMediaType(url = '') {
+  const ext = String(url).split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return EXTENSION_TYPES[ext] || 'document';
+}
+
+function toAsset(name, value) {
+  const entry = typeof value === 'string' ? { url: value } : value;
+  if (!entry?.url) return null;
+  return {
+    name,
+    url: String(entry.url),
+    type: entry.type || inferMediaType(entry.url),
+    caption: entry.caption || '',
+    description: entry.description || '',
+  };
+}
+
+/** Mídias do tenant atual */
+export function listMediaAssets(tenant = currentTenant()) {
+  const raw = {
+    ...(tenant.id === DEFAULT_TENANT_ID ? envAssets : {}),
+    ...(tenant.media || {}),
+  };
+  return Object.entries(raw).map(([name, value]) => toAsset(name, value)).filter(Boolean);
+}
+
+/**
+ * Busca uma mídia pelo nome. Sem nome, devolve a primeira do tipo pedido
+ * ("video" primeiro, por compatibilidade com VIDEO_URL).
+ */
+export function getMediaAsset(name, { type } = {}) {
+  const assets = listMediaAssets();
+  if (name) return assets.find(a => a.name === name) || null;
+  const ofType = type ? assets.filter(a => a.type === type) : assets;
+  return ofType.find(a => a.name === 'video') || ofType[0] || null;
+}
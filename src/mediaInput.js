@@ -0,0 +1,120 @@
+// src/mediaInput.js
+
+/**
+ * Imagens e documentos que o lead envia (cardápio, catálogo, fachada…).
+ *
+ * - Imagem: baixada em base64 pela Uazapi (downloadMessageMedia) e enviada
+ *   ao modelo como imagem na rodada em que chegou.
+ * - PDF / texto: o conteúdo é resumido (summarizeDocument) e o resumo entra
+ *   no histórico junto com a mensagem do lead.
+ *
+ * Só passam mídias com MIME em MEDIA_ALLOWED_MIME e até MEDIA_MAX_MB; o
+ * resto continua virando "[mídia recebida]".
+ */
+
+import { Buffer } from 'buffer';
+import { downloadMessageMedia } from './uazapiClient.js';
+import { summarizeDocument } from './openaiClient.js';
+
+const MAX_BYTES = Number(process.env.MEDIA_MAX_MB || 5) * 1024 * 1024;
+const ALLOWED_MIME = new Set(
+  String(process.env.MEDIA_ALLOWED_MIME || 'image/jpeg,image/png,image/webp,application/pdf,text/plain,text/csv')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean)
+);
+// Documentos de texto: o que passar disso é cortado antes do resumo
+const TEXT_MAX_CHARS = Number(process.env.MEDIA_TEXT_MAX_CHARS || 20000);
+
+const baseMime = (m = '') => String(m).split(';')[0].trim().toLowerCase();
+
+export function isAllowedMime(mimetype) {
+  return ALLOWED_MIME.has(baseMime(mimetype));
+}
+
+/**
+ * Identifica imagem/documento no payload do webhook (formato Uazapi
+ * `message.messageType/mediaType/content` ou chaves image/document).
+ * Só olha a mensagem: `chat.image` é a foto de perfil do contato.
+ *
+ * @returns {{ kind: 'image'|'document', mimetype: string|null, fileName: string|null, fileSize: number|null }|null}
+ */
+export function detectInboundMedia(raw = {}) {
+  const root = raw?.body && typeof raw.body === 'object' ? raw.body : raw;
+  const msg = root?.message || root?.data?.message || {};
+  const content = msg.content && typeof msg.content === 'object' ? msg.content : {};
+  const image = msg.image || msg.imageMessage || null;
+  const document = msg.document || msg.documentMessage || null;
+  const node = (typeof image === 'object' && image) || (typeof document === 'object' && document) || content;
+  const hint = String(msg.mediaType || msg.messageType || msg.type || '').toLowerCase();
+  const mimetype = node.mimetype || node.mimeType || msg.mimetype || null;
+
+  let kind = null;
+  if (image || /image/.test(hint) || /^image\//.test(baseMime(mimetype))) kind = 'image';
+  else if (document || /document/.test(hint) || baseMime(mimetype) === 'application/pdf') kind = 'document';
+  if (!kind || /sticker/.test(hint)) return null;
+
+  const size = Number(node.fileLength || node.fileSize || node.size || 0);
+  return {
+    kind,
+    mimetype: mimetype ? baseMime(mimetype) : null,
+    fileName: node.fileName || node.filename || node.title || null,
+    fileSize: size > 0 ? size : null,
+  };
+}
+
+/**
+ * Baixa a mídia e prepara o que vai para o modelo.
+ *
+ * @param {string} messageId WhatsApp message id
+ * @param {object} media     Resultado de detectInboundMedia
+ * @returns {Promise<{ historyText: string, images: Array<{mimetype: string, base64: string}> }|null>}
+ *          null quando a mídia é recusada (tipo/tamanho) ou falha o download
+ */
+export async function readInboundMedia(messageId, media) {
+  const label = media.kind === 'image' ? 'imagem' : 'documento';
+  if (media.mimetype && !isAllowedMime(media.mimetype)) {
+    console.log(`📎 ${label} ignorado: tipo ${media.mimetype} fora de MEDIA_ALLOWED_MIME`);
+    return null;
+  }
+  if (media.fileSize && media.fileSize > MAX_BYTES) {
+    console.log(`📎 ${label} ignorado: ${media.fileSize} bytes (limite ${MAX_BYTES})`);
+    return null;
+  }
+
+  let resp;
+  try {
+    resp = await downloadMessageMedia(messageId, false);
+  } catch (err) {
+    console.error(`❌ Falha ao baixar ${label}:`, err?.message || err);
+    return null;
+  }
+  const base64 = String(resp?.base64 || resp?.base64Data || resp?.data || '').replace(/^data:[^,]*,/, '');
+  const mimetype = baseMime(resp?.mimetype || resp?.mimeType || media.mimetype || '');
+  if (!base64 || !mimetype) {
+    console.warn(`⚠️ Download de ${label} sem base64/mimetype`);
+    return null;
+  }
+  if (!isAllowedMime(mimetype)) {
+    console.log(`📎 ${label} ignorado: tipo ${mimetype} fora de MEDIA_ALLOWED_MIME`);
+    return null;
+  }
+  if (Math.floor((base64.length * 3) / 4) > MAX_BYTES) {
+    console.log(`📎 ${label} ignorado: acima de ${MAX_BYTES} bytes`);
+    return null;
+  }
+
+  if (mimetype.startsWith('image/')) {
+    return { historyText: '[imagem recebida]', images: [{ mimetype, base64 }] };
+  }
+
+  const fileName = media.fileName || 'documento';
+  const text = mimetype.startsWith('text/')
+    ? Buffer.from(base64, 'base64').toString('utf8').slice(0, TEXT_MAX_CHARS)
+    : null;
+  const summary = await summarizeDocument({ base64, mimetype, fileName, text });
+  return {
+    historyText: `[documento recebido: ${fileName}]\n${summary ? `Resumo do documento: ${summary}` : '(não foi possível ler o documento)'}`,
+    images: [],
+  };
+}
@@ -0,0 +1,334 @@
+// src/messageBuffer.js
+
+/**
+ * ===== BUFFER DE AGRUPAMENTO DE MENSAGENS (plugável) =====
+ *
+ * Junta mensagens consecutivas do mesmo número dentro de uma janela
+ * (USER_MERGE_WINDOW_MS) e entrega o texto combinado a `onFlush` uma vez.
+ *
+ * Backends (BUFFER_BACKEND):
+ *   - memory (padrão): Map + setTimeout no processo. Rápido, mas um restart
+ *     perde o que estava no buffer e duas instâncias respondem em dobro.
+ *   - postgres: fragmentos persistidos em `message_buffer`. Um poller reivindica
+ *     os números vencidos com um lock por número (locked_by/locked_until, com
+ *     renovação enquanto processa). Se a instância cair, o lock expira e
+ *     qualquer instância retoma o flush. Com o banco fora (storage.js), as
+ *     mensagens novas passam por um buffer em memória até ele voltar.
+ *
+ * Mensagens que chegam enquanto a resposta do número está sendo gerada não são
+ * descartadas: ficam guardadas e viram um novo turno assim que o atual termina.
+ *
+ * Os dois backends separam os buffers por tenant + número, e `onFlush` roda
+ * no contexto do tenant da mensagem (tenants.js).
+ *
+ * Interface comum:
+ *   add(number, { text, raw }) → { accepted, queued, messageCount }
+ *   isProcessing(number)       → boolean
+ *   start()                    → inicia o poller (no-op no memory)
+ */
+
+import os from 'os';
+import crypto from 'crypto';
+import { query } from './db.js';
+import { ensureSchema as ensurePgSchema } from './migrations.js';
+import { currentTenantId, getTenant, runWithTenant } from './tenants.js';
+import { withFallback, isDatabaseUp } from './storage.js';
+
+const LOG_TRANSCR = (process.env.LOG_TRANSCR ?? '1') !== '0';
+const maskNumber = (n = '') => String(n).replace(/\D/g, '').replace(/(\d{2})\d+(\d{4})/, '$1******$2');
+const short = (v, n = 80) => {
+  const s = typeof v === 'string' ? v : '';
+  return s.length <= n ? s : s.slice(0, n) + '…';
+};
+
+// ===== BACKEND EM MEMÓRIA =====
+function createMemoryBuffer({ windowMs, onFlush }) {
+  // "tenant|number" -> { combinedText, lastRaw, timer, processing, messageCount, queued }
+  const pendingByUser = new Map();
+  const memoryKey = (number) => `${currentTenantId()}|${number}`;
+
+  const newEntry = () => ({
+    combinedText: '',
+    lastRaw: null,
+    timer: null,
+    processing: false,
+    messageCount: 0,
+    queued: null, // { text, raw, count } recebidos durante o processamento
+  });
+
+  // O timer herda o contexto (tenant) de quem chamou add()
+  function schedule(key, number, entry, delayMs) {
+    entry.timer = setTimeout(async () => {
+      console.log(`⚡ Timer disparado para ${maskNumber(number)}:`, {
+        messageCount: entry.messageCount,
+        combinedText: short(entry.combinedText, 100),
+      });
+      entry.processing = true;
+      try {
+        await onFlush(number, { raw: entry.lastRaw, text: entry.combinedText, messageCount: entry.messageCount });
+      } catch (e) {
+        console.error('handleAggregatedMessage error', e);
+      } finally {
+        if (entry.queued) {
+          // Turno seguinte com o que chegou enquanto a Luna respondia
+          const next = newEntry();
+          next.combinedText = entry.queued.text;
+          next.lastRaw = entry.queued.raw;
+          next.messageCount = entry.queued.count;
+          pendingByUser.set(key, next);
+          console.log(`📥 ${entry.queued.count} mensagem(ns) recebida(s) durante o processamento — novo turno para ${maskNumber(number)}`);
+          schedule(key, number, next, 0);
+        } else {
+          pendingByUser.delete(key);
+          console.log(`✅ Buffer processado e limpo para ${maskNumber(number)}`);
+        }
+      }
+    }, delayMs);
+  }
+
+  return {
+    name: 'memory',
+
+    async isProcessing(number) {
+      return !!pendingByUser.get(memoryKey(number))?.processing;
+    },
+
+    async add(number, { text = '', raw = null }) {
+      const key = memoryKey(number);
+      const entry = pendingByUser.get(key) || newEntry();
+
+      // Já está gerando resposta: guarda para o turno seguinte (nada se perde)
+      if (entry.processing) {
+        const q = entry.queued || { text: '', raw: null, count: 0 };
+        q.text = [q.text, text].filter(Boolean).join(' ').trim();
+        q.raw = raw;
+        q.count += 1;
+        entry.queued = q;
+        return { accepted: true, queued: true, messageCount: q.count };
+      }
+
+      const previousText = entry.combinedText;
+      entry.combinedText = [entry.combinedText, text].filter(Boolean).join(' ').trim();
+      entry.lastRaw = raw;
+      entry.messageCount = (entry.messageCount || 0) + 1;
+
+      if (LOG_TRANSCR) {
+        console.log('🔄 Buffer atualizado:', {
+          number: maskNumber(number),
+          messageCount: entry.messageCount,
+          previousText: short(previousText, 50),
+          newText: short(text, 50),
+          combinedText: short(entry.combinedText, 80),
+          timerActive: !!entry.timer,
+        });
+      }
+
+      if (entry.timer) {
+        console.log(`⏱️ Timer cancelado para ${maskNumber(number)}, reiniciando contagem (${windowMs}ms)`);
+        clearTimeout(entry.timer);
+      }
+      schedule(key, number, entry, windowMs);
+
+      pendingByUser.set(key, entry);
+      return { accepted: true, queued: false, messageCount: entry.messageCount };
+    },
+
+    start() {},
+  };
+}
+
+// ===== BACKEND POSTGRESQL =====
+// Linha travada por uma instância que está gerando a resposta
+const LOCKED = '(message_buffer.locked_until IS NOT NULL AND message_buffer.locked_until >= now())';
+const concat = col =>
+  `btrim(concat_ws(' ', NULLIF(message_buffer.${col}, ''), NULLIF(EXCLUDED.combined_text, '')))`;
+
+function createPgBuffer({ windowMs, onFlush }) {
+  const POLL_MS = Number(process.env.BUFFER_POLL_MS || 1000);
+  const LOCK_TTL_MS = Number(process.env.BUFFER_LOCK_TTL_MS || 120000);
+  const BATCH = 10;
+  const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+  const inFlight = new Set();
+  let polling = false;
+
+  async function claimDue() {
+    const { rows } = await query(
+      `UPDATE message_buffer
+          SET locked_by = $1, locked_until = now() + make_interval(secs => $2::double precision)
+        WHERE (tenant_id, number) IN (
+          SELECT tenant_id, number FROM message_buffer
+           WHERE flush_at <= now() AND (locked_until IS NULL OR locked_until < now())
+           ORDER BY flush_at
+           LIMIT $3
+           FOR UPDATE SKIP LOCKED)
+        RETURNING tenant_id, number, combined_text, last_raw, message_count`,
+      [instanceId, LOCK_TTL_MS / 1000, BATCH]
+    );
+    return rows;
+  }
+
+  async function flushRow(row) {
+    const { number } = row;
+    const key = `${row.tenant_id}|${number}`;
+    inFlight.add(key);
+    console.log(`⚡ Buffer (pg) vencido para ${maskNumber(number)}:`, {
+      messageCount: row.message_count,
+      combinedText: short(row.combined_text, 100),
+    });
+    // Renova o lock enquanto a resposta é gerada
+    const heartbeat = setInterval(() => {
+      query(
+        `UPDATE message_buffer SET locked_until = now() + make_interval(secs => $3::double precision)
+          WHERE tenant_id = $4 AND number = $1 AND locked_by = $2`,
+        [number, instanceId, LOCK_TTL_MS / 1000, row.tenant_id]
+      ).catch(() => {});
+    }, Math.max(1000, LOCK_TTL_MS / 2));
+    try {
+      const tenant = await getTenant(row.tenant_id);
+      if (!tenant) throw new Error(`tenant ${row.tenant_id} não encontrado`);
+      await runWithTenant(tenant, () =>
+        onFlush(number, { raw: row.last_raw, text: row.combined_text, messageCount: row.message_count }));
+    } catch (e) {
+      console.error('handleAggregatedMessage error', e);
+    } finally {
+      clearInterval(heartbeat);
+      inFlight.delete(key);
+      try {
+        // Se chegou algo durante o processamento, vira o próximo turno (vence já);
+        // senão a linha é removida
+        const { rows } = await query(
+          `WITH promoted AS (
+             UPDATE message_buffer
+                SET combined_text = queued_text, last_raw = queued_raw, message_count = queued_count,
+                    queued_text = '', queued_raw = NULL, queued_count = 0,
+                    locked_by = NULL, locked_until = NULL, flush_at = now(), updated_at = now()
+              WHERE tenant_id = $3 AND number = $1 AND locked_by = $2 AND queued_count > 0
+              RETURNING message_count
+           ), removed AS (
+             DELETE FROM message_buffer
+              WHERE tenant_id = $3 AND number = $1 AND locked_by = $2 AND queued_count = 0
+           )
+           SELECT message_count FROM promoted`,
+          [number, instanceId, row.tenant_id]
+        );
+        if (rows.length) {
+          console.log(`📥 ${rows[0].message_count} mensagem(ns) recebida(s) durante o processamento — novo turno para ${maskNumber(number)}`);
+          setImmediate(poll);
+        } else {
+          console.log(`✅ Buffer processado e limpo para ${maskNumber(number)}`);
+        }
+      } catch (err) {
+        console.error('Error releasing message_buffer for', number, err.message);
+      }
+    }
+  }
+
+  async function poll() {
+    if (polling || !isDatabaseUp()) return;
+    polling = true;
+    try {
+      await ensurePgSchema();
+      for (const row of await claimDue()) {
+        if (inFlight.has(`${row.tenant_id}|${row.number}`)) continue;
+        flushRow(row); // em paralelo entre números; o lock garante exclusividade
+      }
+    } catch (err) {
+      console.error('❌ Erro no poller do buffer (pg):', err.message);
+    } finally {
+      polling = false;
+    }
+  }
+
+  return {
+    name: 'postgres',
+
+    async isProcessing(number) {
+      await ensurePgSchema();
+      const { rows } = await query(
+        'SELECT 1 FROM message_buffer WHERE tenant_id = $1 AND number = $2 AND locked_until > now()',
+        [currentTenantId(), number]
+      );
+      return rows.length > 0;
+    },
+
+    async add(number, { text = '', raw = null }) {
+      await ensurePgSchema();
+      const { rows } = await query(
+        `INSERT INTO message_buffer (tenant_id, number, combined_text, last_raw, message_count, flush_at)
+         VALUES ($5, $1, $2, $3, 1, now() + make_interval(secs => $4::double precision))
+         ON CONFLICT (tenant_id, number) DO UPDATE SET
+           combined_text = CASE WHEN ${LOCKED} THEN message_buffer.combined_text
+                                ELSE ${concat('combined_text')} END,
+           last_raw      = CASE WHEN ${LOCKED} THEN message_buffer.last_raw ELSE EXCLUDED.last_raw END,
+           message_count = message_buffer.message_count + CASE WHEN ${LOCKED} THEN 0 ELSE 1 END,
+           flush_at      = CASE WHEN ${LOCKED} THEN message_buffer.flush_at ELSE EXCLUDED.flush_at END,
+           queued_text   = CASE WHEN ${LOCKED} THEN ${concat('queued_text')}
+                                ELSE message_buffer.queued_text END,
+           queued_raw    = CASE WHEN ${LOCKED} THEN EXCLUDED.last_raw ELSE message_buffer.queued_raw END,
+           queued_count  = message_buffer.queued_count + CASE WHEN ${LOCKED} THEN 1 ELSE 0 END,
+           updated_at    = now()
+         RETURNING (locked_until IS NOT NULL AND locked_until >= now()) AS queued,
+                   message_count, queued_count, combined_text`,
+        [number, String(text || '').trim(), raw ? JSON.stringify(raw) : null, windowMs / 1000, currentTenantId()]
+      );
+      const row = rows[0];
+      if (LOG_TRANSCR) {
+        console.log(row.queued ? '📥 Buffer (pg) enfileirado para o próximo turno:' : '🔄 Buffer (pg) atualizado:', {
+          number: maskNumber(number),
+          messageCount: row.queued ? row.queued_count : row.message_count,
+          combinedText: short(row.combined_text, 80),
+        });
+      }
+      return { accepted: true, queued: row.queued, messageCount: row.queued ? row.queued_count : row.message_count };
+    },
+
+    start() {
+      const timer = setInterval(poll, POLL_MS);
+      timer.unref?.();
+      poll(); // retoma buffers que ficaram pendentes antes de um restart
+      console.log(`🗄️ Buffer de mensagens no PostgreSQL (instância ${instanceId}, poll ${POLL_MS}ms)`);
+    },
+  };
+}
+
+// ===== POSTGRES COM FALLBACK EM MEMÓRIA =====
+function createFailoverBuffer(opts) {
+  const pg = createPgBuffer(opts);
+  const memory = createMemoryBuffer(opts);
+  return {
+    name: 'postgres',
+
+    async isProcessing(number) {
+      if (await memory.isProcessing(number)) return true;
+      return withFallback(() => pg.isProcessing(number), () => false);
+    },
+
+    add(number, message) {
+      return withFallback(() => pg.add(number, message), () => memory.add(number, message));
+    },
+
+    start() {
+      pg.start();
+      memory.start();
+    },
+  };
+}
+
+const BACKENDS = { memory: createMemoryBuffer, postgres: createFailoverBuffer, pg: createFailoverBuffer };
+
+/**
+ * Cria o buffer de agrupamento.
+ *
+ * @param {object}   opts
+ * @param {string}   [opts.backend]  'memory' (padrão) | 'postgres'
+ * @param {number}   opts.windowMs   Janela de agrupamento em ms
+ * @param {Function} opts.onFlush    async (number, { raw, text, messageCount }) => void
+ */
+export function createMessageBuffer({ backend = 'memory', windowMs, onFlush }) {
+  const factory = BACKENDS[String(backend || 'memory').toLowerCase()];
+  if (!factory) {
+    console.warn(`⚠️ BUFFER_BACKEND "${backend}" desconhecido — usando memory.`);
+    return createMemoryBuffer({ windowMs, onFlush });
+  }
+  return factory({ windowMs, onFlush });
+}
@@ -0,0 +1,21 @@
+// src/migrate.js
+
+/**
+ * `npm run migrate`: aplica as migrations pendentes (migrations.js) e sai.
+ * Código de saída 1 se alguma falhar.
+ */
+
+import { runMigrations } from './migrations.js';
+import { closePool } from './db.js';
+
+try {
+  const applied = await runMigrations();
+  console.log(applied.length
+    ? `✅ ${applied.length} migration(s) aplicada(s).`
+    : '✅ Banco já está atualizado.');
+} catch (err) {
+  console.error('❌ Falha ao aplicar migrations:', err.message);
+  process.exitCode = 1;
+} finally {
+  await closePool().catch(() => {});
+}
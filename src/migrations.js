@@ -0,0 +1,128 @@
+// src/migrations.js
+
+/**
+ * ===== MIGRATIONS DO BANCO =====
+ *
+ * O schema vive em arquivos SQL numerados na pasta `migrations/` da raiz
+ * (`001_tenants.sql`, `002_sessions.sql`…), aplicados em ordem e uma única
+ * vez. Cada aplicação fica registrada em `schema_migrations` (versão, nome,
+ * checksum do arquivo).
+ *
+ *   - Cada arquivo roda numa transação: se falhar, nada dele fica aplicado
+ *     e as migrations seguintes não rodam
+ *   - Advisory lock: várias instâncias subindo juntas não aplicam a mesma
+ *     migration duas vezes
+ *   - Arquivo já aplicado que mudou (checksum diferente) só gera aviso — não
+ *     é reaplicado; mudança de schema = migration nova com o próximo número
+ *
+ * Roda sozinho na subida (app.js) e sob demanda com `npm run migrate`. Os
+ * módulos chamam ensureSchema() antes de usar o banco: memoizado, então o
+ * banco só é consultado na primeira vez (ou de novo depois de uma falha).
+ */
+
+import { createHash } from 'crypto';
+import { readdir, readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { getClient } from './db.js';
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('../migrations/', import.meta.url));
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+// Chave do pg_advisory_lock (qualquer bigint fixo serve)
+const LOCK_KEY = 7261004;
+
+/**
+ * Migrations disponíveis na pasta, em ordem de versão.
+ * @returns {Promise<Array<{version: number, name: string, file: string, sql: string, checksum: string}>>}
+ */
+export async function listMigrationFiles(dir = MIGRATIONS_DIR) {
+  const files = (await readdir(dir)).filter(f => FILE_PATTERN.test(f));
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(FILE_PATTERN);
+    const sql = await readFile(`${dir}/${file}`, 'utf8');
+    migrations.push({
+      version: Number(version),
+      name,
+      file,
+      sql,
+      checksum: createHash('sha256').update(sql).digest('hex'),
+    });
+  }
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`migrations com a mesma versão: ${migrations[i - 1].file} e ${migrations[i].file}`);
+    }
+  }
+  return migrations;
+}
+
+/**
+ * Aplica as migrations pendentes.
+ * @returns {Promise<string[]>} arquivos aplicados nesta execução
+ */
+export async function runMigrations({ dir = MIGRATIONS_DIR } = {}) {
+  const migrations = await listMigrationFiles(dir);
+  const client = await getClient();
+  const applied = [];
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await client.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version    INTEGER PRIMARY KEY,
+         name       TEXT NOT NULL,
+         checksum   TEXT NOT NULL,
+         applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+       )`
+    );
+    const { rows } = await client.query('SELECT version, checksum FROM schema_migrations');
+    const done = new Map(rows.map(r => [r.version, r.checksum]));
+
+    for (const m of migrations) {
+      if (done.has(m.version)) {
+        if (done.get(m.version) !== m.checksum) {
+          console.warn(`⚠️ Migration ${m.file} mudou depois de aplicada — ignorada (crie uma nova migration).`);
+        }
+        continue;
+      }
+      try {
+        await client.query('BEGIN');
+        await client.query(m.sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [m.version, m.name, m.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw new Error(`migration ${m.file}: ${err.message}`);
+      }
+      applied.push(m.file);
+      console.log(`🗄️ Migration aplicada: ${m.file}`);
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+  return applied;
+}
+
+let ready = null;
+
+/**
+ * Garante o schema atualizado (roda as migrations uma vez por processo).
+ * Em caso de erro a memo é descartada para tentar de novo na próxima chamada.
+ * @returns {Promise<void>}
+ */
+export function ensureSchema() {
+  if (!ready) {
+    ready = runMigrations()
+      .then(() => {})
+      .catch(err => {
+        ready = null;
+        console.error('❌ Falha ao aplicar migrations:', err.message);
+        throw err;
+      });
+  }
+  return ready;
+}
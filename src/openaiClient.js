@@ -7,8 +7,10 @@
  * - Não envia `temperature` para evitar 400 “unsupported parameter”.
  */
 import OpenAI from 'openai';
+import { Buffer } from 'buffer';
 import { OPENAI_API_KEY, PRODUCT_PROMPT } from './config.js';
 import { defaultPrompt } from './prompt.js';
+import { MODEL_STAGES, REJECTION_REASONS } from './stateMachine.js';
 
 if (!OPENAI_API_KEY) {
   console.error('OPENAI_API_KEY não definido.');
@@ -56,11 +58,18 @@ export async function generateReply(history, promptOverride = PRODUCT_PROMPT ||
 /**
  * Generate a reply using Chat Completions API with function calling.
  * OTIMIZAÇÃO: Usa menos tokens filtrando mensagens meta do histórico
+ *
+ * `context` (buildSessionContext em prompt.js) vai como segunda mensagem de
+ * sistema: estado da sessão e fatos do lead que não estão no histórico.
+ * `videos` (media.js) habilita a tool send_video com os nomes disponíveis.
+ * `images` ([{ mimetype, base64 }], mediaInput.js) vão como imagem junto da
+ * última mensagem do lead — só nesta rodada; o histórico guarda o texto.
  */
-export async function generateReplyWithTools(history, number, promptOverride = PRODUCT_PROMPT || defaultPrompt) {
+export async function generateReplyWithTools(history, number, promptOverride = PRODUCT_PROMPT || defaultPrompt, { context, videos = [], images = [] } = {}) {
   const systemPrompt = (promptOverride || '').trim();
   const messages = [];
   messages.push({ role: 'system', content: systemPrompt });
+  if (context) messages.push({ role: 'system', content: context });
   for (const m of history) {
     if (!m || !m.role || !m.content) continue;
     if (m.role === 'meta') continue;
@@ -68,6 +77,15 @@ export async function generateReplyWithTools(history, number, promptOverride = P
     if (role !== 'user' && role !== 'assistant') role = 'user';
     messages.push({ role, content: m.content });
   }
+  if (images.length) {
+    const parts = images.map(img => ({
+      type: 'image_url',
+      image_url: { url: `data:${img.mimetype};base64,${img.base64}` },
+    }));
+    const last = messages[messages.length - 1];
+    if (last?.role === 'user') last.content = [{ type: 'text', text: last.content }, ...parts];
+    else messages.push({ role: 'user', content: parts });
+  }
   const functions = [
     {
       name: 'send_text',
@@ -77,6 +95,7 @@ export async function generateReplyWithTools(history, number, promptOverride = P
         properties: {
           number: { type: 'string', description: 'Sempre use "user_number".' },
           message: { type: 'string', description: 'Texto a ser enviado.' },
+          voice: { type: 'boolean', nullable: true, description: 'Só quando o contexto indicar resposta em áudio: false manda como texto (links, e-mails, números, listas).' },
         },
         required: ['number', 'message'],
       },
@@ -100,7 +119,7 @@ export async function generateReplyWithTools(history, number, promptOverride = P
     },
     {
       name: 'handoff',
-      description: 'Encaminha para o Jonas (humano).',
+      description: 'Encaminha o lead para o vendedor humano.',
       parameters: {
         type: 'object',
         properties: {
@@ -111,7 +130,51 @@ export async function generateReplyWithTools(history, number, promptOverride = P
         required: ['number'],
       },
     },
+    {
+      name: 'update_lead',
+      description: 'Registra o estágio da conversa e fatos do lead (nome, segmento, e-mail, motivo da recusa). Envie só os campos que mudaram. Não envia mensagem ao lead.',
+      parameters: {
+        type: 'object',
+        properties: {
+          number: { type: 'string', description: 'Sempre use "user_number".' },
+          stage: { type: 'string', enum: [...MODEL_STAGES], nullable: true, description: 'Novo estágio (encaminhamento é só pelo handoff).' },
+          lead_name: { type: 'string', nullable: true, description: 'Nome do lead ou da empresa.' },
+          segment: { type: 'string', nullable: true, description: 'Segmento/ramo da empresa.' },
+          email: { type: 'string', nullable: true, description: 'E-mail informado pelo lead.' },
+          rejection_reason: { type: 'string', enum: [...REJECTION_REASONS], nullable: true, description: 'Motivo, quando stage=CLOSED_REJECTED.' },
+        },
+        required: ['number'],
+      },
+    },
+    {
+      name: 'opt_out',
+      description: 'Registra que o lead pediu para NÃO receber mais mensagens (ex.: "sair", "para de mandar mensagem"). Depois disso nada mais é enviado a ele.',
+      parameters: {
+        type: 'object',
+        properties: {
+          number: { type: 'string', description: 'Sempre use "user_number".' },
+          reason: { type: 'string', nullable: true, description: 'Motivo resumido, se o lead disse.' },
+        },
+        required: ['number'],
+      },
+    },
   ];
+  if (videos.length) {
+    const catalog = videos.map(v => `"${v.name}"${v.description ? ` (${v.description})` : ''}`).join(', ');
+    functions.push({
+      name: 'send_video',
+      description: `Envia um vídeo de demonstração e, em seguida, um texto curto. Cada vídeo só pode ser enviado uma vez por conversa. Disponíveis: ${catalog}.`,
+      parameters: {
+        type: 'object',
+        properties: {
+          number: { type: 'string', description: 'Sempre use "user_number".' },
+          name: { type: 'string', enum: videos.map(v => v.name), description: 'Qual vídeo enviar.' },
+          followup: { type: 'string', nullable: true, description: 'Texto curto enviado logo depois do vídeo.' },
+        },
+        required: ['number', 'name'],
+      },
+    });
+  }
   try {
     // Converte functions para o formato tools (novo padrão da OpenAI)
     const tools = functions.map(f => ({ type: 'function', function: f }));
@@ -142,6 +205,58 @@ export async function generateReplyWithTools(history, number, promptOverride = P
   }
 }
 
+// ===== VOZ (TTS) =====
+// Provedores de síntese de voz: cada um recebe (texto, { voice }) e devolve
+// { buffer, mimetype } em formato aceito como PTT pelo WhatsApp (OGG/Opus).
+const TTS_PROVIDER = (process.env.TTS_PROVIDER || 'openai').toLowerCase();
+const TTS_VOICE = process.env.TTS_VOICE || 'nova';
+const TTS_MAX_CHARS = Number(process.env.TTS_MAX_CHARS || 600);
+const ttsProviders = {
+  async openai(text, { voice }) {
+    const resp = await openai.audio.speech.create({
+      model: process.env.OPENAI_TTS_MODEL || 'gpt-4o-mini-tts',
+      voice,
+      input: text,
+      response_format: 'opus',
+    });
+    return { buffer: Buffer.from(await resp.arrayBuffer()), mimetype: 'audio/ogg' };
+  },
+};
+
+/** Registra outro provedor de TTS (selecionado por TTS_PROVIDER) */
+export function registerTtsProvider(name, fn) {
+  ttsProviders[String(name).toLowerCase()] = fn;
+}
+
+export function isTtsAvailable() {
+  return typeof ttsProviders[TTS_PROVIDER] === 'function';
+}
+
+/**
+ * Sintetiza `text` em áudio. Textos acima de TTS_MAX_CHARS não viram áudio
+ * (nota de voz longa demais é pior que texto).
+ *
+ * @param {string} text
+ * @param {object} [opts] { voice }
+ * @returns {Promise<{base64: string, mimetype: string}|null>}
+ */
+export async function synthesizeSpeech(text, { voice } = {}) {
+  const input = String(text || '').trim();
+  if (!input || input.length > TTS_MAX_CHARS || !isTtsAvailable()) return null;
+  try {
+    const { buffer, mimetype } = await ttsProviders[TTS_PROVIDER](input, { voice: voice || TTS_VOICE });
+    return buffer?.length ? { base64: buffer.toString('base64'), mimetype } : null;
+  } catch (err) {
+    console.error('TTS error:', {
+      provider: TTS_PROVIDER,
+      status: err?.status,
+      code: err?.code,
+      message: err?.error?.message || err?.message,
+    });
+    return null;
+  }
+}
+
 /**
  * Transcreve um arquivo de áudio usando Whisper.
  * @param {Buffer} audioBuffer
@@ -167,3 +282,99 @@ export async function transcribeAudio(audioBuffer, fileName = 'audio.mp3') {
     return '';
   }
 }
+
+// Resumo para o vendedor: JSON estruturado extraído do histórico
+const SUMMARY_MAX_OUTPUT_TOKENS = Number(process.env.OPENAI_SUMMARY_MAX_TOKENS || 800);
+const SUMMARY_PROMPT = `Você resume conversas de prospecção no WhatsApp para o vendedor que vai assumir o lead.
+Responda APENAS com um objeto JSON neste formato:
+{"segment": string|null, "pain_points": string[], "objections": string[], "questions": string[], "email": string|null, "summary": string}
+- segment: ramo/segmento da empresa do lead, se ficou claro
+- pain_points: dores/problemas que o lead relatou
+- objections: objeções levantadas (preço, já usa outra solução, etc.)
+- questions: perguntas que o lead fez
+- email: e-mail informado pelo lead, se houver
+- summary: 1 ou 2 frases com o contexto geral
+Não invente nada que não esteja na conversa. Listas vazias quando não houver.`;
+
+/**
+ * Gera um resumo estruturado da conversa (chamada separada, sem tools).
+ *
+ * @param {Array<{role: string, content: string}>} history
+ * @returns {Promise<{segment: string|null, painPoints: string[], objections: string[], questions: string[], email: string|null, summary: string}|null>}
+ */
+export async function summarizeConversation(history) {
+  const transcript = (history || [])
+    .filter(m => m && (m.role === 'user' || m.role === 'assistant') && m.content)
+    .map(m => `${m.role === 'user' ? 'Lead' : 'Luna'}: ${m.content}`)
+    .join('\n');
+  if (!transcript) return null;
+  try {
+    const resp = await openai.chat.completions.create({
+      model: MODEL,
+      messages: [
+        { role: 'system', content: SUMMARY_PROMPT },
+        { role: 'user', content: transcript },
+      ],
+      response_format: { type: 'json_object' },
+      max_completion_tokens: SUMMARY_MAX_OUTPUT_TOKENS,
+    });
+    const raw = resp?.choices?.[0]?.message?.content || '';
+    const data = JSON.parse(raw);
+    const list = (v) => (Array.isArray(v) ? v.map(String).map(s => s.trim()).filter(Boolean) : []);
+    return {
+      segment: typeof data.segment === 'string' && data.segment.trim() ? data.segment.trim() : null,
+      painPoints: list(data.pain_points),
+      objections: list(data.objections),
+      questions: list(data.questions),
+      email: typeof data.email === 'string' && data.email.includes('@') ? data.email.trim().toLowerCase() : null,
+      summary: typeof data.summary === 'string' ? data.summary.trim() : '',
+    };
+  } catch (err) {
+    console.error('OpenAI summary error:', {
+      status: err?.status,
+      code: err?.code,
+      message: err?.error?.message || err?.message,
+    });
+    return null;
+  }
+}
+
+// Resumo de documentos enviados pelo lead (PDF, texto)
+const DOCUMENT_MAX_OUTPUT_TOKENS = Number(process.env.OPENAI_DOCUMENT_MAX_TOKENS || 400);
+const DOCUMENT_PROMPT = `Você recebe um documento que um lead (empresa) enviou no WhatsApp durante uma conversa de prospecção.
+Resuma em até 6 linhas, em português, o que o documento mostra sobre o negócio do lead: o que vende, para quem, produtos/serviços, preços ou região, se houver.
+Não invente nada que não esteja no documento. Se não houver texto legível, responda apenas "sem texto legível".`;
+
+/**
+ * Resume um documento (chamada separada, sem tools). PDF vai como arquivo
+ * para o modelo extrair o texto; documentos de texto vão como texto.
+ *
+ * @param {object} doc { base64, mimetype, fileName, text }
+ * @returns {Promise<string>} Resumo ('' em caso de erro)
+ */
+export async function summarizeDocument({ base64, mimetype, fileName = 'documento', text } = {}) {
+  const content = text
+    ? [{ type: 'text', text: `Documento "${fileName}":\n\n${text}` }]
+    : [
+        { type: 'file', file: { filename: fileName, file_data: `data:${mimetype};base64,${base64}` } },
+        { type: 'text', text: `Resuma o documento "${fileName}".` },
+      ];
+  try {
+    const resp = await openai.chat.completions.create({
+      model: MODEL,
+      messages: [
+        { role: 'system', content: DOCUMENT_PROMPT },
+        { role: 'user', content },
+      ],
+      max_completion_tokens: DOCUMENT_MAX_OUTPUT_TOKENS,
+    });
+    return (resp?.choices?.[0]?.message?.content || '').trim();
+  } catch (err) {
+    console.error('OpenAI document summary error:', {
+      status: err?.status,
+      code: err?.code,
+      message: err?.error?.message || err?.message,
+    });
+    return '';
+  }
+}
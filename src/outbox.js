@@ -0,0 +1,480 @@
+// src/outbox.js
+
+/**
+ * ===== FILA DURÁVEL DE SAÍDA (outbox) =====
+ *
+ * Toda mensagem que a Luna envia (texto, menu, mídia) é gravada em
+ * `outbound_messages` e entregue à Uazapi por um worker. Assim:
+ *
+ *   - ORDEM por número: só a mensagem mais antiga ainda não enviada de cada
+ *     número é elegível; a seguinte espera ela sair (ou ir para dead-letter)
+ *   - ATRASO em vez de descarte: texto/menu "cadenciados" esperam o intervalo
+ *     mínimo desde a última resposta (PACING_MS) em vez de serem ignorados
+ *   - RETRY com backoff exponencial (OUTBOX_BACKOFF_MS, 2x por tentativa)
+ *   - DEAD-LETTER: após OUTBOX_MAX_ATTEMPTS a mensagem vai para
+ *     `outbound_dead_letters`, inspecionável e reenfileirável pelo /admin
+ *   - SUPRESSÃO revalidada na hora do envio (lead pode ter pedido para sair
+ *     enquanto a mensagem esperava); a confirmação de opt-out passa
+ *   - LIMITE GLOBAL: cada envio consome um token do bucket da instância
+ *     (rateLimiter.js); sem token, a mensagem espera a vez
+ *
+ * Arquivos gerados na hora (nota de voz TTS) ficam em `outbound_media`; o
+ * payload da fila guarda só o id (mediaId) e o arquivo é lido no envio.
+ *
+ * O status de entrega (sent/failed/cancelled) é refletido nas linhas de
+ * `messages` ligadas ao envio (conversationStore.js, outbound_id).
+ *
+ * Cada mensagem guarda o tenant que a gerou e é enviada pela instância
+ * Uazapi daquele tenant (ordem e cadência valem por tenant + número).
+ *
+ * Com o PostgreSQL fora (storage.js) as mensagens novas entram numa fila em
+ * memória, entregue pelo mesmo worker com a mesma ordem/cadência/retry — mas
+ * sem durabilidade nem dead-letter (esgotou as tentativas, é descartada).
+ *
+ * Várias instâncias podem rodar o worker: a reserva é atômica e uma
+ * mensagem presa em `sending` (instância caiu) volta a ser elegível quando
+ * o lock expira.
+ */
+
+import { query } from './db.js';
+import { ensureSchema } from './migrations.js';
+import { sendText, sendMedia, sendMenu, normalizeNumber } from './uazapiClient.js';
+import { isSuppressed } from './suppression.js';
+import { acquireSendToken } from './rateLimiter.js';
+import { currentTenantId, getTenant, runWithTenant } from './tenants.js';
+import { setDeliveryStatus, touchLastResponse } from './conversationStore.js';
+import { withFallback, isDatabaseUp, isConnectionError, markDatabaseDown } from './storage.js';
+
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 5);
+const BACKOFF_MS = Number(process.env.OUTBOX_BACKOFF_MS || 2000);
+const POLL_MS = Number(process.env.OUTBOX_POLL_MS || 1000);
+const BATCH_SIZE = Number(process.env.OUTBOX_BATCH_SIZE || 20);
+const RETENTION_DAYS = Number(process.env.OUTBOX_RETENTION_DAYS || 3);
+const LOCK_SECONDS = 120;
+const PRUNE_INTERVAL_MS = 3600000;
+
+// Intervalo mínimo entre mensagens cadenciadas (texto/menu) do mesmo número
+export const PACING_MS = 4000;
+
+let wakeTimer = null;
+let running = false;
+let lastPruneAt = 0;
+
+// ===== FILA EM MEMÓRIA (banco fora) =====
+// Mesmo formato das linhas de outbound_messages, com id "mem-N"
+const memoryQueue = [];
+let memorySeq = 0;
+const memoryLastResponse = new Map(); // tenant|número -> ms do último envio cadenciado
+const memoryKey = (tenantId, number) => `${tenantId}|${number}`;
+
+function removeFromMemory(msg) {
+  const i = memoryQueue.indexOf(msg);
+  if (i >= 0) memoryQueue.splice(i, 1);
+}
+
+/** Cabeça da fila em memória de cada número que já pode sair */
+function claimMemoryBatch() {
+  const now = Date.now();
+  const heads = new Map();
+  for (const m of memoryQueue) {
+    const key = memoryKey(m.tenant_id, m.number);
+    if (!heads.has(key)) heads.set(key, m);
+  }
+  return [...heads.entries()]
+    .filter(([key, m]) => !m.sending && m.next_attempt_at <= now
+      && (!m.paced || now - (memoryLastResponse.get(key) || 0) >= PACING_MS))
+    .map(([, m]) => {
+      m.sending = true;
+      m.attempts += 1;
+      return m;
+    });
+}
+
+/**
+ * Grava uma mensagem na fila de saída (na fila em memória com o banco fora).
+ *
+ * @param {string} numberRaw
+ * @param {'text'|'menu'|'media'} kind
+ * @param {object} payload  text: { text, delay } · menu: { menu, delay } · media: { fileUrl, caption, type }
+ * @param {object} opts     { paced = true, optOutConfirmation = false, attachment }
+ *                 attachment { base64, mimetype }: arquivo da mídia (no lugar de fileUrl),
+ *                 gravado em outbound_media
+ * @returns {Promise<number|string>} id da mensagem ("mem-N" na fila em memória)
+ */
+export async function enqueueOutbound(numberRaw, kind, payload, { paced = true, optOutConfirmation = false, attachment = null } = {}) {
+  const number = normalizeNumber(numberRaw);
+  const tenantId = currentTenantId();
+  const toMemory = () => {
+    const id = `mem-${++memorySeq}`;
+    memoryQueue.push({
+      id,
+      memory: true,
+      tenant_id: tenantId,
+      number,
+      kind,
+      payload: attachment ? { ...payload, fileUrl: attachment.base64 } : payload,
+      paced,
+      opt_out_confirmation: optOutConfirmation,
+      attempts: 0,
+      next_attempt_at: Date.now(),
+    });
+    wakeWorker();
+    return id;
+  };
+  // Número com mensagens ainda na fila em memória: as novas saem depois delas
+  if (memoryQueue.some(m => m.tenant_id === tenantId && m.number === number)) return toMemory();
+  return withFallback(async () => {
+    await ensureSchema();
+    const params = [tenantId, number, kind, JSON.stringify(payload), paced, optOutConfirmation];
+    const { rows } = attachment
+      ? await query(
+        `WITH media AS (
+           INSERT INTO outbound_media (tenant_id, mimetype, data)
+           VALUES ($1, $7, decode($8, 'base64')) RETURNING id
+         )
+         INSERT INTO outbound_messages (tenant_id, number, kind, payload, paced, opt_out_confirmation)
+         SELECT $1, $2, $3, $4::jsonb || jsonb_build_object('mediaId', media.id), $5, $6 FROM media
+         RETURNING id`,
+        [...params, attachment.mimetype || null, attachment.base64]
+      )
+      : await query(
+        `INSERT INTO outbound_messages (tenant_id, number, kind, payload, paced, opt_out_confirmation)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+        params
+      );
+    wakeWorker();
+    return Number(rows[0].id);
+  }, toMemory);
+}
+
+/**
+ * Reserva a cabeça da fila de cada número que já pode sair:
+ * pendente e vencida (ou `sending` com lock expirado) e, se cadenciada,
+ * com PACING_MS desde a última resposta enviada ao número.
+ */
+async function claimBatch() {
+  const { rows } = await query(
+    `UPDATE outbound_messages o
+        SET status = 'sending', attempts = o.attempts + 1,
+            locked_until = now() + make_interval(secs => $1::int)
+      WHERE o.id IN (
+              SELECT h.id FROM (
+                SELECT DISTINCT ON (tenant_id, number)
+                       id, tenant_id, number, status, paced, next_attempt_at, locked_until
+                  FROM outbound_messages
+                 WHERE status IN ('pending', 'sending')
+                 ORDER BY tenant_id, number, id) h
+               WHERE ((h.status = 'pending' AND h.next_attempt_at <= now())
+                      OR (h.status = 'sending' AND h.locked_until < now()))
+                 AND (NOT h.paced OR NOT EXISTS (
+                       SELECT 1 FROM sessions s
+                        WHERE s.tenant_id = h.tenant_id AND s.number = h.number
+                          AND s.last_response_ts > now() - make_interval(secs => $2::double precision)))
+               ORDER BY h.next_attempt_at
+               LIMIT $3)
+        -- revalida depois do lock de linha (outra instância pode ter reservado)
+        AND ((o.status = 'pending' AND o.next_attempt_at <= now())
+             OR (o.status = 'sending' AND o.locked_until < now()))
+      RETURNING o.id, o.tenant_id, o.number, o.kind, o.payload, o.paced, o.opt_out_confirmation, o.attempts`,
+    [LOCK_SECONDS, PACING_MS / 1000, BATCH_SIZE]
+  );
+  // BIGSERIAL chega como string: mesmo tipo do id devolvido por enqueueOutbound
+  return rows.map(r => ({ ...r, id: Number(r.id) }));
+}
+
+/** Arquivo de outbound_media em base64 (payload.mediaId) */
+async function loadMedia(mediaId) {
+  const { rows } = await query("SELECT encode(data, 'base64') AS base64 FROM outbound_media WHERE id = $1", [mediaId]);
+  if (!rows[0]) throw new Error(`arquivo ${mediaId} não encontrado em outbound_media`);
+  return rows[0].base64;
+}
+
+async function dispatch(msg) {
+  const p = msg.payload || {};
+  if (msg.kind === 'text') return sendText(msg.number, p.text, { delay: p.delay });
+  if (msg.kind === 'menu') return sendMenu(msg.number, p.menu, { delay: p.delay });
+  if (msg.kind === 'media') {
+    const file = p.mediaId ? await loadMedia(p.mediaId) : p.fileUrl;
+    return sendMedia(msg.number, file, p.caption || '', p.type || '');
+  }
+  throw new Error(`tipo de mensagem desconhecido: ${msg.kind}`);
+}
+
+async function markSent(msg) {
+  // Timestamp da última resposta (cadência e follow-ups) — mídia não altera,
+  // exceto nota de voz (é a resposta da Luna em áudio)
+  const responded = msg.kind !== 'media' || msg.payload?.type === 'ptt';
+  if (msg.memory) {
+    removeFromMemory(msg);
+    if (responded) {
+      memoryLastResponse.set(memoryKey(msg.tenant_id, msg.number), Date.now());
+      await touchLastResponse(msg.number);
+    }
+    await setDeliveryStatus(msg.id, 'sent');
+    return;
+  }
+  await query(
+    `UPDATE outbound_messages SET status = 'sent', sent_at = now(), locked_until = NULL, last_error = NULL
+      WHERE id = $1`,
+    [msg.id]
+  );
+  if (responded) {
+    await query(
+      'UPDATE sessions SET last_response_ts = now() WHERE tenant_id = $1 AND number = $2',
+      [msg.tenant_id, msg.number]
+    );
+  }
+  await setDeliveryStatus(msg.id, 'sent');
+}
+
+async function moveToDeadLetter(msg, error) {
+  if (msg.memory) {
+    removeFromMemory(msg);
+    await setDeliveryStatus(msg.id, 'failed');
+    console.error(`💀 Mensagem ${msg.id} (fila em memória) para ${msg.number} descartada após ${msg.attempts} tentativas:`, error);
+    return;
+  }
+  await query(
+    `WITH moved AS (
+       DELETE FROM outbound_messages WHERE id = $1
+       RETURNING id, tenant_id, number, kind, payload, paced, attempts, created_at
+     )
+     INSERT INTO outbound_dead_letters (message_id, tenant_id, number, kind, payload, paced, attempts, last_error, created_at)
+     SELECT id, tenant_id, number, kind, payload, paced, attempts, $2, created_at FROM moved`,
+    [msg.id, error]
+  );
+  await setDeliveryStatus(msg.id, 'failed')
+    .catch(e => console.error('Error updating delivery status', msg.id, e.message));
+  console.error(`💀 Mensagem ${msg.id} para ${msg.number} movida para dead-letter após ${msg.attempts} tentativas:`, error);
+}
+
+async function scheduleRetry(msg, err) {
+  const error = String(err?.message || err).slice(0, 2000);
+  if (msg.attempts >= MAX_ATTEMPTS) return moveToDeadLetter(msg, error);
+  const backoff = BACKOFF_MS * 2 ** (msg.attempts - 1);
+  if (msg.memory) {
+    msg.sending = false;
+    msg.next_attempt_at = Date.now() + backoff;
+  } else {
+    await query(
+    `UPDATE outbound_messages
+        SET status = 'pending', locked_until = NULL, last_error = $2,
+            next_attempt_at = now() + make_interval(secs => $3::double precision)
+      WHERE id = $1`,
+      [msg.id, error, backoff / 1000]
+    );
+  }
+  console.warn(`🔁 Envio ${msg.id} para ${msg.number} falhou (tentativa ${msg.attempts}/${MAX_ATTEMPTS}), nova tentativa em ${backoff}ms:`, error);
+}
+
+async function processMessage(msg) {
+  const tenant = await getTenant(msg.tenant_id);
+  if (!tenant) {
+    await scheduleRetry(msg, `tenant ${msg.tenant_id} não encontrado`)
+      .catch(e => console.error('Error rescheduling outbound message', msg.id, e.message));
+    return;
+  }
+  return runWithTenant(tenant, () => deliver(msg));
+}
+
+/**
+ * Cancela a mensagem de um número suprimido. Retorna false se, nesse meio
+ * tempo, ela foi marcada como a confirmação de opt-out (markOptOutConfirmation).
+ */
+async function cancelSuppressed(msg) {
+  if (msg.memory) removeFromMemory(msg);
+  else {
+    const r = await query(
+      `UPDATE outbound_messages SET status = 'cancelled', locked_until = NULL, last_error = 'suppressed'
+        WHERE id = $1 AND NOT opt_out_confirmation`,
+      [msg.id]
+    );
+    if (!r.rowCount) return false;
+  }
+  await setDeliveryStatus(msg.id, 'cancelled')
+    .catch(e => console.error('Error updating delivery status', msg.id, e.message));
+  console.log('🔕 Mensagem na fila cancelada — número na lista de supressão:', msg.number);
+  return true;
+}
+
+async function deliver(msg) {
+  try {
+    if (!msg.opt_out_confirmation && (await isSuppressed(msg.number)) && (await cancelSuppressed(msg))) return;
+    // Limite global da instância: sem token, volta para a fila sem contar tentativa
+    const gate = await acquireSendToken();
+    if (!gate.ok) {
+      if (msg.memory) {
+        msg.attempts -= 1;
+        msg.sending = false;
+        msg.next_attempt_at = Date.now() + gate.waitMs;
+        return;
+      }
+      await query(
+        `UPDATE outbound_messages
+            SET status = 'pending', attempts = attempts - 1, locked_until = NULL,
+                next_attempt_at = now() + make_interval(secs => $2::double precision)
+          WHERE id = $1`,
+        [msg.id, gate.waitMs / 1000]
+      );
+      return;
+    }
+    await dispatch(msg);
+  } catch (err) {
+    await scheduleRetry(msg, err).catch(e => console.error('Error rescheduling outbound message', msg.id, e.message));
+    return;
+  }
+  // Já entregue à Uazapi: uma falha aqui não pode gerar reenvio
+  await markSent(msg).catch(e => console.error('Error marking outbound message as sent', msg.id, e.message));
+}
+
+function pruneSent() {
+  if (Date.now() - lastPruneAt < PRUNE_INTERVAL_MS) return;
+  lastPruneAt = Date.now();
+  query(
+    `DELETE FROM outbound_messages
+      WHERE status IN ('sent', 'cancelled') AND created_at < now() - make_interval(days => $1::int)`,
+    [RETENTION_DAYS]
+  ).catch(err => console.error('Error pruning outbound_messages:', err.message));
+  // Arquivos que nenhuma mensagem pendente ou dead-letter usa mais
+  query(
+    `DELETE FROM outbound_media m
+      WHERE NOT EXISTS (SELECT 1 FROM outbound_messages o
+                         WHERE o.status IN ('pending', 'sending') AND (o.payload->>'mediaId')::bigint = m.id)
+        AND NOT EXISTS (SELECT 1 FROM outbound_dead_letters d WHERE (d.payload->>'mediaId')::bigint = m.id)`
+  ).catch(err => console.error('Error pruning outbound_media:', err.message));
+}
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    // Fila em memória: sai mesmo com o banco fora
+    let local;
+    while ((local = claimMemoryBatch()).length) await Promise.all(local.map(processMessage));
+    if (!isDatabaseUp()) return;
+
+    await ensureSchema();
+    let batch;
+    do {
+      batch = await claimBatch();
+      await Promise.all(batch.map(processMessage));
+    } while (batch.length);
+    pruneSent();
+  } catch (err) {
+    if (isConnectionError(err)) markDatabaseDown(err);
+    console.error('❌ Erro no worker da fila de saída:', err.message);
+  } finally {
+    running = false;
+  }
+}
+
+function wakeWorker() {
+  if (wakeTimer) return;
+  wakeTimer = setTimeout(() => {
+    wakeTimer = null;
+    tick();
+  }, 0);
+}
+
+/** Inicia o worker (chamado no app.listen) */
+export function startOutboxWorker() {
+  const timer = setInterval(tick, POLL_MS);
+  timer.unref?.();
+  wakeWorker();
+  console.log(`📤 Fila de saída ativa (poll ${POLL_MS}ms, ${MAX_ATTEMPTS} tentativas)`);
+}
+
+/**
+ * Marca uma mensagem já enfileirada (a despedida da Luna) como a confirmação
+ * de opt-out: ela passa pela lista de supressão em vez de ser cancelada.
+ * Chame antes de suprimir o número.
+ *
+ * @param {number|string} id id devolvido por enqueueOutbound
+ * @returns {Promise<boolean>} true se a mensagem vai sair (ou já saiu)
+ */
+export async function markOptOutConfirmation(id) {
+  if (typeof id === 'string' && id.startsWith('mem-')) {
+    const msg = memoryQueue.find(m => m.id === id);
+    // Fora da fila em memória: já foi entregue (o número ainda não estava suprimido)
+    if (msg) msg.opt_out_confirmation = true;
+    return true;
+  }
+  return withFallback(async () => {
+    const r = await query(
+      `UPDATE outbound_messages SET opt_out_confirmation = true
+        WHERE id = $1 AND status IN ('pending', 'sending', 'sent')`,
+      [Number(id)]
+    );
+    return r.rowCount > 0;
+  }, () => false);
+}
+
+// ===== CONSULTA / ADMIN (sempre no tenant atual) =====
+
+export async function listOutbound({ status, number, limit = 100, offset = 0 } = {}) {
+  await ensureSchema();
+  const tenant = currentTenantId();
+  const { rows } = await query(
+    `SELECT id, tenant_id, number, kind, payload, paced, status, attempts, next_attempt_at, last_error, created_at, sent_at
+       FROM outbound_messages
+      WHERE tenant_id = $5 AND ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR number = $2)
+      ORDER BY id DESC LIMIT $3 OFFSET $4`,
+    [status || null, number ? normalizeNumber(number) : null, limit, offset, tenant]
+  );
+  const counts = await query(
+    'SELECT status, COUNT(*)::int AS n FROM outbound_messages WHERE tenant_id = $1 GROUP BY status',
+    [tenant]
+  );
+  return {
+    byStatus: Object.fromEntries(counts.rows.map(r => [r.status, r.n])),
+    items: rows,
+  };
+}
+
+export async function listDeadLetters({ limit = 100, offset = 0 } = {}) {
+  await ensureSchema();
+  const tenant = currentTenantId();
+  const { rows } = await query(
+    `SELECT id, message_id, tenant_id, number, kind, payload, attempts, last_error, created_at, failed_at
+       FROM outbound_dead_letters WHERE tenant_id = $3 ORDER BY id DESC LIMIT $1 OFFSET $2`,
+    [limit, offset, tenant]
+  );
+  const total = await query('SELECT COUNT(*)::int AS n FROM outbound_dead_letters WHERE tenant_id = $1', [tenant]);
+  return { total: total.rows[0].n, items: rows };
+}
+
+/**
+ * Devolve uma mensagem da dead-letter para o fim da fila do número.
+ * @returns {Promise<number|null>} id da nova mensagem (null se não existe)
+ */
+export async function retryDeadLetter(id) {
+  await ensureSchema();
+  const { rows } = await query(
+    `WITH moved AS (
+       DELETE FROM outbound_dead_letters WHERE id = $1 AND tenant_id = $2
+       RETURNING message_id, tenant_id, number, kind, payload, paced
+     ), requeued AS (
+       INSERT INTO outbound_messages (tenant_id, number, kind, payload, paced)
+       SELECT tenant_id, number, kind, payload, paced FROM moved
+       RETURNING id
+     )
+     SELECT requeued.id, moved.message_id FROM requeued, moved`,
+    [id, currentTenantId()]
+  );
+  if (!rows.length) return null;
+  const newId = Number(rows[0].id);
+  const previousId = Number(rows[0].message_id);
+  await setDeliveryStatus(previousId, 'queued', newId)
+    .catch(e => console.error('Error updating delivery status', previousId, e.message));
+  wakeWorker();
+  return newId;
+}
+
+export async function deleteDeadLetter(id) {
+  await ensureSchema();
+  const r = await query(
+    'DELETE FROM outbound_dead_letters WHERE id = $1 AND tenant_id = $2',
+    [id, currentTenantId()]
+  );
+  return r.rowCount > 0;
+}
@@ -0,0 +1,231 @@
+// src/prompts.js
+
+/**
+ * Prompts versionados no PostgreSQL.
+ *
+ * Cada tenant tem uma lista de versões numeradas (1, 2, 3…) em
+ * `prompt_versions`, com no máximo UMA ativa. Trocar o texto do prompt é
+ * criar uma versão nova e ativá-la — sem redeploy.
+ *
+ * Sem nenhuma versão ativa vale o comportamento antigo: prompt do tenant
+ * (PRODUCT_PROMPT no tenant padrão) ou o LUNA_PROMPT embutido, identificado
+ * como versão "default".
+ *
+ * Rollback: ao ativar uma versão guardamos qual estava ativa antes
+ * (`previous_version`); rollbackPrompt() volta para ela. Rollbacks
+ * seguidos continuam voltando na cadeia.
+ *
+ * A versão ativa fica em cache por PROMPT_CACHE_MS (30s): outras cópias do
+ * app passam a usar uma versão recém-ativada em até esse tempo.
+ */
+
+import { query } from './db.js';
+import { ensureSchema } from './migrations.js';
+import { isDatabaseUp } from './storage.js';
+import { defaultPrompt } from './prompt.js';
+import { currentTenant, currentTenantId } from './tenants.js';
+
+export const DEFAULT_PROMPT_VERSION = 'default';
+
+const CACHE_MS = Number(process.env.PROMPT_CACHE_MS || 30000);
+const cache = new Map(); // tenant -> { prompt, timestamp }
+
+function toVersion(row, { withContent = true } = {}) {
+  return {
+    version: row.version,
+    active: row.active,
+    note: row.note || null,
+    createdBy: row.created_by || null,
+    previousVersion: row.previous_version ?? null,
+    createdAt: row.created_at,
+    activatedAt: row.activated_at || null,
+    ...(withContent ? { content: row.content } : { length: row.length }),
+  };
+}
+
+/** Prompt que vale quando o tenant não tem versão ativa */
+function fallbackPrompt() {
+  return { version: DEFAULT_PROMPT_VERSION, content: currentTenant().prompt || defaultPrompt };
+}
+
+/**
+ * Prompt ativo do tenant atual (template, antes do renderPrompt).
+ * @returns {Promise<{version: number|string, content: string}>}
+ */
+export async function getActivePrompt() {
+  const tenant = currentTenantId();
+  const hit = cache.get(tenant);
+  if (hit && Date.now() - hit.timestamp < CACHE_MS) return hit.prompt;
+  // Banco fora do ar não pode calar a Luna: último prompt conhecido, ou o de sempre
+  if (!isDatabaseUp()) return hit?.prompt || fallbackPrompt();
+  let prompt = null;
+  try {
+    await ensureSchema();
+    const { rows } = await query(
+      'SELECT version, content FROM prompt_versions WHERE tenant_id = $1 AND active',
+      [tenant]
+    );
+    if (rows[0]) prompt = { version: rows[0].version, content: rows[0].content };
+  } catch (err) {
+    console.error('Error loading active prompt for', tenant, err.message);
+    return hit?.prompt || fallbackPrompt();
+  }
+  prompt = prompt || fallbackPrompt();
+  cache.set(tenant, { prompt, timestamp: Date.now() });
+  return prompt;
+}
+
+export async function listPromptVersions() {
+  await ensureSchema();
+  const { rows } = await query(
+    `SELECT version, active, note, created_by, previous_version, created_at, activated_at,
+            length(content) AS length
+       FROM prompt_versions WHERE tenant_id = $1 ORDER BY version DESC`,
+    [currentTenantId()]
+  );
+  return rows.map(r => toVersion(r, { withContent: false }));
+}
+
+/** Versão específica (com o texto); `default` devolve o prompt de fallback */
+export async function getPromptVersion(version) {
+  if (String(version) === DEFAULT_PROMPT_VERSION) {
+    return { ...fallbackPrompt(), active: false };
+  }
+  await ensureSchema();
+  const { rows } = await query(
+    'SELECT * FROM prompt_versions WHERE tenant_id = $1 AND version = $2',
+    [currentTenantId(), Number(version)]
+  );
+  return rows[0] ? toVersion(rows[0]) : null;
+}
+
+/**
+ * Cria uma nova versão (número = última + 1).
+ * @param {string} content Texto do prompt (aceita {{HUMAN_NAME}})
+ * @param {object} [opts]  { note, createdBy, activate }
+ */
+export async function createPromptVersion(content, { note, createdBy, activate = false } = {}) {
+  const text = String(content || '').trim();
+  if (!text) throw Object.assign(new Error('content obrigatório'), { status: 400 });
+  await ensureSchema();
+  const tenant = currentTenantId();
+  const { rows } = await query(
+    `INSERT INTO prompt_versions (tenant_id, version, content, note, created_by)
+     VALUES ($1, (SELECT COALESCE(MAX(version), 0) + 1 FROM prompt_versions WHERE tenant_id = $1), $2, $3, $4)
+     RETURNING *`,
+    [tenant, text, note || null, createdBy || null]
+  );
+  console.log(`📝 Prompt v${rows[0].version} criado (tenant ${tenant})`);
+  if (activate) return activatePromptVersion(rows[0].version);
+  return toVersion(rows[0]);
+}
+
+/**
+ * Ativa uma versão (desativando a atual) em um único UPDATE.
+ * @param {number} version
+ * @param {object} [opts] { keepPrevious } — usado no rollback para não reescrever a cadeia
+ * @returns {Promise<object|null>} null se a versão não existe
+ */
+export async function activatePromptVersion(version, { keepPrevious = false } = {}) {
+  await ensureSchema();
+  const tenant = currentTenantId();
+  const target = Number(version);
+  const exists = await query(
+    'SELECT active FROM prompt_versions WHERE tenant_id = $1 AND version = $2',
+    [tenant, target]
+  );
+  if (!exists.rows[0]) return null;
+  if (!exists.rows[0].active) {
+    await query(
+      `UPDATE prompt_versions
+          SET active = (version = $2),
+              activated_at = CASE WHEN version = $2 THEN now() ELSE activated_at END,
+              previous_version = CASE
+                WHEN version = $2 AND NOT $3
+                  THEN (SELECT MAX(version) FROM prompt_versions WHERE tenant_id = $1 AND active)
+                ELSE previous_version END
+        WHERE tenant_id = $1 AND (active OR version = $2)`,
+      [tenant, target, keepPrevious]
+    );
+    cache.delete(tenant);
+    console.log(`✅ Prompt v${target} ativo (tenant ${tenant})`);
+  }
+  return getPromptVersion(target);
+}
+
+/**
+ * Volta para a versão que estava ativa antes da atual. Sem versão anterior,
+ * desativa tudo e o tenant volta ao prompt "default".
+ */
+export async function rollbackPrompt() {
+  await ensureSchema();
+  const tenant = currentTenantId();
+  const { rows } = await query(
+    'SELECT version, previous_version FROM prompt_versions WHERE tenant_id = $1 AND active',
+    [tenant]
+  );
+  if (!rows[0]) throw Object.assign(new Error('nenhuma versão ativa'), { status: 409 });
+  if (rows[0].previous_version != null) {
+    const previous = await activatePromptVersion(rows[0].previous_version, { keepPrevious: true });
+    if (previous) return previous;
+  }
+  await query('UPDATE prompt_versions SET active = false WHERE tenant_id = $1 AND active', [tenant]);
+  cache.delete(tenant);
+  console.log(`↩️ Prompt v${rows[0].version} desativado — tenant ${tenant} volta ao prompt default`);
+  return { ...fallbackPrompt(), active: true };
+}
+
+// ===== DIFF =====
+
+/**
+ * Diff por linhas (LCS) no formato unificado, só com os trechos alterados
+ * e `context` linhas em volta.
+ */
+export function diffLines(before, after, context = 2) {
+  const a = String(before || '').split('\n');
+  const b = String(after || '').split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () => new Int32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push([' ', a[i++]]);
+      j++;
+    } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push(['-', a[i++]]);
+    } else {
+      ops.push(['+', b[j++]]);
+    }
+  }
+  const changed = ops.map(([op]) => op !== ' ');
+  const near = (k) => changed.slice(Math.max(0, k - context), k + context + 1).some(Boolean);
+  const lines = [];
+  let skipped = false;
+  ops.forEach(([op, line], k) => {
+    if (op === ' ' && !near(k)) {
+      if (!skipped) lines.push('@@');
+      skipped = true;
+      return;
+    }
+    skipped = false;
+    lines.push(`${op} ${line}`);
+  });
+  return {
+    added: ops.filter(([op]) => op === '+').length,
+    removed: ops.filter(([op]) => op === '-').length,
+    diff: lines.join('\n'),
+  };
+}
+
+/** Diff entre duas versões do tenant atual (`default` = prompt de fallback) */
+export async function diffPromptVersions(from, to) {
+  const [a, b] = await Promise.all([getPromptVersion(from), getPromptVersion(to)]);
+  if (!a || !b) return null;
+  return { from: a.version, to: b.version, ...diffLines(a.content, b.content) };
+}
@@ -3,23 +3,43 @@
 /**
  * ===== SISTEMA DE FILAS E DELAYS =====
  * 
- * Controla o envio de mensagens para o WhatsApp com dois mecanismos:
+ * Controla o envio de mensagens para o WhatsApp. Nada é enviado direto: tudo
+ * vai para a fila durável de saída (outbox.js), que preserva a ordem por
+ * número, tenta de novo com backoff e manda para dead-letter o que falhar.
  * 
  * 1. BUFFER ANTI-FLOOD (4s entre mensagens de TEXTO):
  *    - Evita que a Luna mande várias mensagens seguidas muito rápido
- *    - Se tentar mandar outra mensagem antes de 4s, ela é silenciosamente ignorada
- *    - Mídia (vídeo/imagem) NÃO passa pelo buffer - é enviada na hora
+ *    - Se tentar mandar outra mensagem antes de 4s, ela ESPERA na fila (não é descartada)
+ *    - Mídia (vídeo/imagem) NÃO passa pelo buffer - sai assim que chegar a vez dela
  * 
  * 2. DELAY "DIGITANDO..." (1.5-3.5s aleatório):
  *    - Quando vai enviar uma mensagem, a Uazapi mostra "digitando..." ANTES
  *    - Esse tempo NÃO atrasa a resposta da IA, apenas mostra o indicador
  *    - É calculado aqui e enviado para a Uazapi via campo 'delay'
  *    - Aparece IMEDIATAMENTE quando a mensagem for enviada
+ *
+ * 3. CADÊNCIA DE ABERTURA (campanhas):
+ *    - Mensagens de primeiro contato (queueOpeningMessage) respeitam um
+ *      intervalo GLOBAL com jitter entre si (SEND_DELAY_MS ou CAMPAIGN_SEND_INTERVAL_MS), não por número
+ *    - O limite global de mensagens/minuto vale para tudo (rateLimiter.js)
+ *
+ * 4. LISTA DE SUPRESSÃO (opt-out):
+ *    - Texto, menu e mídia NÃO saem para números suprimidos
+ *    - Exceção: uma única confirmação, enviada com opts.optOutConfirmation
+ *
+ * 5. NOTA DE VOZ (queueVoiceNote):
+ *    - Texto sintetizado (TTS) e enviado como áudio PTT, na mesma cadência do texto
+ *
+ * queueMessage/queueMenu/queueMedia/queueVoiceNote retornam o id na fila de saída (truthy) quando a
+ * mensagem foi aceita, ou false. Guarde o id no histórico (outboundId) para acompanhar a entrega.
  */
 
-import { query } from './db.js';
-import { normalizeNumber, sendText, sendMedia } from './uazapiClient.js';
-import { sendMenu } from './uazapiClient.js';
+import { normalizeNumber } from './uazapiClient.js';
+import { isSuppressed, claimOptOutConfirmation } from './suppression.js';
+import { enqueueOutbound } from './outbox.js';
+import { ensureSessionRow } from './conversationStore.js';
+import { waitForOpeningSlot } from './rateLimiter.js';
+import { synthesizeSpeech } from './openaiClient.js';
 
 // ===== CÁLCULO DO DELAY "DIGITANDO..." =====
 // Gera um tempo aleatório entre MIN e MAX para parecer humano
@@ -34,38 +54,32 @@ function computeRandomDelay() {
   return Math.max(0, Math.floor(rnd));
 }
 
-// Intervalo mínimo entre mensagens de TEXTO
-// OTIMIZAÇÃO: Reduzido de 7s para 4s para respostas mais rápidas
-const BUFFER_MS = 4000;
-
-/** Garante linha na tabela */
-async function ensureRow(number) {
-  await query(
-    `INSERT INTO sessions(number, history, last_response_ts)
-       VALUES ($1, '[]', NULL)
-       ON CONFLICT (number) DO NOTHING`,
-    [number]
-  );
+/**
+ * Número está na lista de supressão? Deixa passar só a confirmação única
+ * de opt-out (opts.optOutConfirmation), reservada de forma atômica.
+ *
+ * @returns {Promise<'blocked'|'confirmation'|null>}
+ */
+async function suppressionCheck(number, opts = {}) {
+  if (!(await isSuppressed(number))) return null;
+  if (opts.optOutConfirmation && (await claimOptOutConfirmation(number))) return 'confirmation';
+  console.log('🔕 Envio bloqueado — número na lista de supressão:', number);
+  return 'blocked';
 }
 
-/** Pode enviar texto agora? (respeita buffer) */
-async function canSendTextNow(number, now) {
-  const { rows } = await query(
-    'SELECT last_response_ts FROM sessions WHERE number = $1',
-    [number]
-  );
-  const last = rows?.[0]?.last_response_ts
-    ? new Date(rows[0].last_response_ts)
-    : null;
-  if (!last) return true;
-  return now - last >= BUFFER_MS;
+/** Delay "digitando": opts.delay ou aleatório (1.5-3.5s) */
+function typingDelay(opts = {}) {
+  if (opts && typeof opts.delay === 'number' && !isNaN(opts.delay)) {
+    return Math.max(0, Math.floor(opts.delay));
+  }
+  return computeRandomDelay();
 }
 
 /**
  * ===== ENVIA TEXTO COM BUFFER E DELAY =====
  * 
- * Envia mensagem de texto respeitando:
- * 1. BUFFER de 4s: Se já mandou uma mensagem há menos de 4s, ignora silenciosamente
+ * Enfileira mensagem de texto respeitando:
+ * 1. BUFFER de 4s: Se já mandou uma mensagem há menos de 4s, a fila segura esta até dar o tempo
  * 2. DELAY "digitando": Calcula tempo aleatório e passa para Uazapi mostrar indicador
  * 
  * O delay "digitando" aparece IMEDIATAMENTE quando a mensagem for enviada.
@@ -73,41 +87,46 @@ async function canSendTextNow(number, now) {
  */
 export async function queueMessage(numberRaw, text, opts = {}) {
   const number = normalizeNumber(numberRaw);
-  const now = new Date();
-  const bypass = !!opts.bypassBuffer;
 
   try {
-    await ensureRow(number);
-
-    // ===== VERIFICAÇÃO DO BUFFER (4s) =====
-    if (!bypass && !(await canSendTextNow(number, now))) {
-      // Última mensagem foi enviada há menos de 4s - IGNORA silenciosamente
-      return;
-    }
-
-    // ===== CÁLCULO DO DELAY "DIGITANDO" =====
-    // Se opts.delay foi passado, usa esse valor. Senão, gera aleatório (1.5-3.5s)
-    let delayMs = null;
-    if (opts && typeof opts.delay === 'number' && !isNaN(opts.delay)) {
-      delayMs = Math.max(0, Math.floor(opts.delay));
-    } else {
-      delayMs = computeRandomDelay(); // Aleatório entre 1500-3500ms
-    }
-
-    // Envia para Uazapi com o delay - ela mostrará "digitando" por delayMs antes de enviar
-    await sendText(number, text, { delay: delayMs });
-
-    // Atualiza timestamp da última mensagem (para o buffer de 7s)
-    await query(
-      `UPDATE sessions SET last_response_ts = $2 WHERE number = $1`,
-      [number, now]
-    );
+    const suppression = await suppressionCheck(number, opts);
+    if (suppression === 'blocked') return false;
+    await ensureSessionRow(number);
+
+    const id = await enqueueOutbound(number, 'text', { text, delay: typingDelay(opts) }, {
+      paced: !opts.bypassBuffer,
+      optOutConfirmation: suppression === 'confirmation',
+    });
+    return id;
   } catch (err) {
     console.error('Error in queueMessage for', number, err.message);
+    return false;
   }
 }
 
-/** Envia MÍDIA imediatamente, SEM buffer (não altera last_response_ts) */
+/**
+ * ===== ENVIA MENSAGEM DE ABERTURA (CAMPANHA) =====
+ *
+ * Primeiro contato iniciado pela Luna. Aguarda o próximo horário livre entre
+ * aberturas (global, com jitter — ver rateLimiter.js) para não disparar a
+ * lista inteira de uma vez, e então envia como texto normal (sem buffer por
+ * número, já que é a primeira mensagem da conversa).
+ *
+ * @param {object} opts { maxWaitMs } — espera máxima pelo horário livre
+ * @returns {Promise<number|string|false|null>} id na fila, false se falhou,
+ *          null se o horário livre passa de maxWaitMs (nada foi enviado)
+ */
+export async function queueOpeningMessage(numberRaw, text, { maxWaitMs = null } = {}) {
+  try {
+    if (!(await waitForOpeningSlot({ maxWaitMs }))) return null;
+  } catch (err) {
+    console.error('Error in queueOpeningMessage for', numberRaw, err.message);
+    return false;
+  }
+  return queueMessage(numberRaw, text, { bypassBuffer: true });
+}
+
+/** Enfileira MÍDIA SEM buffer (não espera os 4s nem altera last_response_ts) */
 export async function queueMedia(numberRaw, fileUrl, caption = '', opts = {}) {
   let actualCaption = caption;
   let options = opts;
@@ -117,10 +136,48 @@ export async function queueMedia(numberRaw, fileUrl, caption = '', opts = {}) {
   }
   const number = normalizeNumber(numberRaw);
   try {
-    await ensureRow(number);
-    await sendMedia(number, fileUrl, actualCaption, options?.type || '');
+    const suppression = await suppressionCheck(number, options);
+    if (suppression === 'blocked') return false;
+    await ensureSessionRow(number);
+    const id = await enqueueOutbound(number, 'media', { fileUrl, caption: actualCaption, type: options?.type || '' }, {
+      paced: false,
+      optOutConfirmation: suppression === 'confirmation',
+    });
+    return id;
   } catch (err) {
     console.error('Error in queueMedia for', number, err.message);
+    return false;
+  }
+}
+
+/**
+ * ===== ENVIA NOTA DE VOZ (TTS) =====
+ *
+ * Sintetiza o texto e enfileira como mídia `ptt` com a mesma cadência do
+ * texto (buffer de 4s). Retorna false se a síntese falhar — quem chamou
+ * deve mandar o texto no lugar.
+ *
+ * @param {object} opts { voice, bypassBuffer, optOutConfirmation }
+ */
+export async function queueVoiceNote(numberRaw, text, opts = {}) {
+  const number = normalizeNumber(numberRaw);
+  try {
+    // Sintetiza antes: se falhar, a confirmação de opt-out não é consumida
+    const audio = await synthesizeSpeech(text, { voice: opts.voice });
+    if (!audio) return false;
+    const suppression = await suppressionCheck(number, opts);
+    if (suppression === 'blocked') return false;
+    await ensureSessionRow(number);
+    // O áudio vai para outbound_media; a linha da fila guarda só a referência
+    const id = await enqueueOutbound(number, 'media', { caption: '', type: 'ptt' }, {
+      paced: !opts.bypassBuffer,
+      optOutConfirmation: suppression === 'confirmation',
+      attachment: audio,
+    });
+    return id;
+  } catch (err) {
+    console.error('Error in queueVoiceNote for', number, err.message);
+    return false;
   }
 }
 
@@ -128,40 +185,24 @@ export async function queueMedia(numberRaw, fileUrl, caption = '', opts = {}) {
  * ===== ENVIA MENU (BOTÕES) COM BUFFER E DELAY =====
  * 
  * Menu funciona igual ao texto:
- * 1. BUFFER de 4s: Respeita o intervalo mínimo entre envios
+ * 1. BUFFER de 4s: Respeita o intervalo mínimo entre envios (espera na fila)
  * 2. DELAY "digitando": Mostra indicador antes de exibir o menu
  */
 export async function queueMenu(numberRaw, menuPayload, opts = {}) {
   const number = normalizeNumber(numberRaw);
-  const now = new Date();
-  const bypass = !!opts.bypassBuffer;
 
   try {
-    await ensureRow(number);
-
-    // ===== VERIFICAÇÃO DO BUFFER (4s) =====
-    if (!bypass && !(await canSendTextNow(number, now))) {
-      // Última mensagem foi há menos de 4s - IGNORA
-      return;
-    }
-
-    // ===== CÁLCULO DO DELAY "DIGITANDO" =====
-    let delayMs = null;
-    if (opts && typeof opts.delay === 'number' && !isNaN(opts.delay)) {
-      delayMs = Math.max(0, Math.floor(opts.delay));
-    } else {
-      delayMs = computeRandomDelay(); // Aleatório 1500-3500ms
-    }
-
-    // Envia menu com delay "digitando"
-    await sendMenu(number, menuPayload, { delay: delayMs });
-
-    // Atualiza timestamp da última mensagem
-    await query(
-      `UPDATE sessions SET last_response_ts = $2 WHERE number = $1`,
-      [number, now]
-    );
+    const suppression = await suppressionCheck(number, opts);
+    if (suppression === 'blocked') return false;
+    await ensureSessionRow(number);
+
+    const id = await enqueueOutbound(number, 'menu', { menu: menuPayload, delay: typingDelay(opts) }, {
+      paced: !opts.bypassBuffer,
+      optOutConfirmation: suppression === 'confirmation',
+    });
+    return id;
   } catch (err) {
     console.error('Error in queueMenu for', number, err.message);
+    return false;
   }
 }
@@ -0,0 +1,249 @@
+// src/rateLimiter.js
+
+/**
+ * Limites globais de envio da instância Uazapi (anti-ban).
+ *
+ * O cadenciamento do queue.js é por número; aqui os limites valem para a
+ * instância inteira (um bucket por tenant — cada tenant é uma instância
+ * Uazapi) e ficam no PostgreSQL, então também são respeitados quando várias
+ * cópias do app rodam ao mesmo tempo.
+ *
+ * 1. TOKEN BUCKET (todas as mensagens):
+ *    - RATE_LIMIT_PER_MINUTE tokens por minuto, acumulando até RATE_LIMIT_BURST
+ *    - O worker da fila de saída (outbox.js) pede um token antes de cada
+ *      sendText/sendMedia/sendMenu; sem token, a mensagem volta para a fila
+ *    - RATE_LIMIT_PER_MINUTE=0 desliga o bucket
+ *    - Banco fora (storage.js): bucket em memória, por processo
+ *
+ * 2. TETO DIÁRIO DE CONVERSAS NOVAS (NEW_CONVERSATIONS_DAILY_CAP):
+ *    - Conta as aberturas iniciadas pela Luna (campanhas) por dia no TIMEZONE
+ *    - Atingido o teto, as campanhas param até o dia seguinte
+ *
+ * 3. ESPAÇAMENTO COM JITTER entre aberturas:
+ *    - Base CAMPAIGN_SEND_INTERVAL_MS (padrão: SEND_DELAY_MS, 30s), variando
+ *      ±SEND_JITTER_PCT. A cadência por número (PACING_MS, outbox.js) é outra
+ *    - Evita o padrão "uma mensagem a cada N segundos exatos"
+ *
+ * Banco fora (storage.js): teto diário e espaçamento também caem para
+ * contadores em memória, por processo.
+ */
+
+import { query } from './db.js';
+import { ensureSchema } from './migrations.js';
+import { SEND_DELAY_MS } from './config.js';
+import { zonedParts } from './timeUtils.js';
+import { currentTenantId } from './tenants.js';
+import { withFallback } from './storage.js';
+
+const PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE ?? 20);
+const BURST = Math.max(1, Number(process.env.RATE_LIMIT_BURST || 5));
+const DAILY_CAP = Number(process.env.NEW_CONVERSATIONS_DAILY_CAP ?? 200);
+const SPACING_MS = Number(process.env.CAMPAIGN_SEND_INTERVAL_MS || SEND_DELAY_MS);
+const JITTER_PCT = Math.min(Math.max(Number(process.env.SEND_JITTER_PCT ?? 30), 0), 100);
+
+// Chaves por tenant (instância Uazapi)
+const sendBucket = () => `send:${currentTenantId()}`;
+const newConversationKey = () => `new_conversation:${currentTenantId()}`;
+const spacingKey = () => `spacing:${newConversationKey()}`;
+
+const ratePerSecond = () => PER_MINUTE / 60;
+const today = () => zonedParts(new Date()).dateKey;
+
+/** Valor com jitter de ±JITTER_PCT */
+export function jitter(ms) {
+  const spread = (ms * JITTER_PCT) / 100;
+  return Math.max(0, Math.round(ms - spread + Math.random() * 2 * spread));
+}
+
+// ===== TOKEN BUCKET =====
+
+/**
+ * Tenta consumir um token de envio.
+ * @returns {Promise<{ok: boolean, waitMs: number}>} waitMs = quando tentar de novo
+ */
+export async function acquireSendToken() {
+  if (!(PER_MINUTE > 0)) return { ok: true, waitMs: 0 };
+  return withFallback(acquireDbToken, acquireMemoryToken);
+}
+
+async function acquireDbToken() {
+  await ensureSchema();
+  await query(
+    `INSERT INTO rate_limit_buckets (key, tokens) VALUES ($1, $2) ON CONFLICT (key) DO NOTHING`,
+    [sendBucket(), BURST]
+  );
+  const refilled = `LEAST($2::double precision, tokens + EXTRACT(EPOCH FROM now() - updated_at) * $3::double precision)`;
+  const taken = await query(
+    `UPDATE rate_limit_buckets SET tokens = ${refilled} - 1, updated_at = now()
+      WHERE key = $1 AND ${refilled} >= 1
+      RETURNING tokens`,
+    [sendBucket(), BURST, ratePerSecond()]
+  );
+  if (taken.rows.length) return { ok: true, waitMs: 0 };
+
+  const { rows } = await query(
+    `SELECT ${refilled} AS tokens FROM rate_limit_buckets WHERE key = $1`,
+    [sendBucket(), BURST, ratePerSecond()]
+  );
+  const missing = 1 - Number(rows[0]?.tokens || 0);
+  return { ok: false, waitMs: jitter(Math.ceil((missing / ratePerSecond()) * 1000)) };
+}
+
+// Mesmo bucket, em memória (banco fora): key -> { tokens, updatedAt }
+const memoryBuckets = new Map();
+
+function acquireMemoryToken() {
+  const key = sendBucket();
+  const now = Date.now();
+  const b = memoryBuckets.get(key) || { tokens: BURST, updatedAt: now };
+  b.tokens = Math.min(BURST, b.tokens + ((now - b.updatedAt) / 1000) * ratePerSecond());
+  b.updatedAt = now;
+  memoryBuckets.set(key, b);
+  if (b.tokens >= 1) {
+    b.tokens -= 1;
+    return { ok: true, waitMs: 0 };
+  }
+  return { ok: false, waitMs: jitter(Math.ceil(((1 - b.tokens) / ratePerSecond()) * 1000)) };
+}
+
+// ===== TETO DIÁRIO DE CONVERSAS NOVAS =====
+
+// Contagem em memória (banco fora): day|key -> count
+const memoryDaily = new Map();
+const memoryDailyKey = () => `${today()}|${newConversationKey()}`;
+
+/**
+ * Reserva uma conversa nova no teto do dia.
+ * @returns {Promise<boolean>} false se o teto já foi atingido
+ */
+export async function reserveNewConversation() {
+  if (!(DAILY_CAP > 0)) return true;
+  return withFallback(async () => {
+    await ensureSchema();
+    const { rows } = await query(
+      `INSERT INTO rate_limit_daily (day, key, count) VALUES ($1, $2, 1)
+       ON CONFLICT (day, key) DO UPDATE SET count = rate_limit_daily.count + 1
+         WHERE rate_limit_daily.count < $3
+       RETURNING count`,
+      [today(), newConversationKey(), DAILY_CAP]
+    );
+    return rows.length > 0;
+  }, () => {
+    const key = memoryDailyKey();
+    const count = memoryDaily.get(key) || 0;
+    if (count >= DAILY_CAP) return false;
+    memoryDaily.set(key, count + 1);
+    return true;
+  });
+}
+
+/** Devolve uma reserva que acabou não sendo usada */
+export async function releaseNewConversation() {
+  if (!(DAILY_CAP > 0)) return;
+  await withFallback(async () => {
+    await ensureSchema();
+    await query(
+      `UPDATE rate_limit_daily SET count = GREATEST(count - 1, 0) WHERE day = $1 AND key = $2`,
+      [today(), newConversationKey()]
+    );
+  }, () => {
+    const key = memoryDailyKey();
+    if (memoryDaily.get(key) > 0) memoryDaily.set(key, memoryDaily.get(key) - 1);
+  });
+}
+
+// ===== ESPAÇAMENTO ENTRE ABERTURAS =====
+
+// Próximo horário livre em memória (banco fora): key -> ms
+const memorySlots = new Map();
+
+/**
+ * Reserva o próximo horário livre para uma abertura (global, com jitter)
+ * e aguarda até ele.
+ *
+ * @param {object} [opts] { maxWaitMs } — se o horário livre estiver mais longe
+ *                 que isso, não reserva nada e retorna false na hora
+ * @returns {Promise<boolean>} true depois de aguardar o horário reservado
+ */
+export async function waitForOpeningSlot({ maxWaitMs = null } = {}) {
+  const gapMs = jitter(SPACING_MS);
+  const waitMs = await withFallback(async () => {
+    await ensureSchema();
+    const { rows } = await query(
+      `INSERT INTO rate_limit_buckets (key, next_slot_at) VALUES ($1, now() + make_interval(secs => $2::double precision))
+       ON CONFLICT (key) DO UPDATE
+         SET next_slot_at = GREATEST(rate_limit_buckets.next_slot_at, now()) + make_interval(secs => $2::double precision),
+             updated_at = now()
+         WHERE $3::double precision IS NULL
+            OR rate_limit_buckets.next_slot_at IS NULL
+            OR rate_limit_buckets.next_slot_at <= now() + make_interval(secs => $3::double precision)
+       RETURNING EXTRACT(EPOCH FROM (next_slot_at - make_interval(secs => $2::double precision) - now())) * 1000 AS wait_ms`,
+      [spacingKey(), gapMs / 1000, maxWaitMs == null ? null : maxWaitMs / 1000]
+    );
+    return rows.length ? Math.max(0, Number(rows[0].wait_ms || 0)) : null;
+  }, () => {
+    // Mesmo horário reservado, em memória
+    const key = spacingKey();
+    const slot = Math.max(memorySlots.get(key) || 0, Date.now());
+    if (maxWaitMs != null && slot - Date.now() > maxWaitMs) return null;
+    memorySlots.set(key, slot + gapMs);
+    return slot - Date.now();
+  });
+  if (waitMs == null) return false;
+  if (waitMs > 0) await new Promise(r => setTimeout(r, waitMs));
+  return true;
+}
+
+// ===== MÉTRICAS =====
+
+/** Quanto falta para cada limite (usado em GET /admin/rate-limits) */
+export async function getRateLimitMetrics() {
+  await ensureSchema();
+  const bucket = await query(
+    `SELECT LEAST($2::double precision, tokens + EXTRACT(EPOCH FROM now() - updated_at) * $3::double precision) AS tokens
+       FROM rate_limit_buckets WHERE key = $1`,
+    [sendBucket(), BURST, ratePerSecond()]
+  );
+  const daily = await query(
+    'SELECT count FROM rate_limit_daily WHERE day = $1 AND key = $2',
+    [today(), newConversationKey()]
+  );
+  const slot = await query(
+    'SELECT next_slot_at FROM rate_limit_buckets WHERE key = $1',
+    [spacingKey()]
+  );
+  const sent = await query(
+    `SELECT COUNT(*) FILTER (WHERE sent_at > now() - interval '1 minute')::int AS last_minute,
+            COUNT(*) FILTER (WHERE sent_at > now() - interval '1 hour')::int   AS last_hour
+       FROM outbound_messages WHERE status = 'sent' AND tenant_id = $1`,
+    [currentTenantId()]
+  ).catch(() => ({ rows: [{}] })); // tabela da outbox pode ainda não existir
+
+  const used = daily.rows[0]?.count || 0;
+  return {
+    tenant: currentTenantId(),
+    sendBucket: {
+      enabled: PER_MINUTE > 0,
+      perMinute: PER_MINUTE,
+      burst: BURST,
+      availableTokens: PER_MINUTE > 0
+        ? Math.floor(Number(bucket.rows[0]?.tokens ?? BURST))
+        : null,
+    },
+    newConversations: {
+      day: today(),
+      cap: DAILY_CAP > 0 ? DAILY_CAP : null,
+      used,
+      remaining: DAILY_CAP > 0 ? Math.max(DAILY_CAP - used, 0) : null,
+    },
+    openingSpacing: {
+      baseMs: SPACING_MS,
+      jitterPct: JITTER_PCT,
+      nextSlotAt: slot.rows[0]?.next_slot_at || null,
+    },
+    sent: {
+      lastMinute: sent.rows[0]?.last_minute ?? null,
+      lastHour: sent.rows[0]?.last_hour ?? null,
+    },
+  };
+}
@@ -0,0 +1,174 @@
+// src/sellers.js
+
+/**
+ * Roteamento de leads entre vários vendedores humanos.
+ *
+ * O time é configurado em SELLERS_JSON (ou arquivo em SELLERS_FILE):
+ *   [{ "id": "jonas", "name": "Jonas", "phone": "5511999999999",
+ *      "hours": "09:00-18:00", "days": "1-5",
+ *      "segments": ["distribuidora", "bebidas"], "weight": 2 }]
+ * Sem configuração, usa o par REDIRECT_PHONE / HUMAN_NAME de sempre.
+ * Cada tenant (tenants.js) pode ter o próprio time em `tenants.sellers`;
+ * o SELLERS_JSON/SELLERS_FILE vale para o tenant padrão.
+ *
+ * Escolha (SELLER_ROUTING):
+ *   - segment (padrão): prefere quem atende o segmento do lead; sem match, todos
+ *   - round_robin: ignora segmentos
+ * Entre os candidatos, vendedores fora do horário são pulados e a divisão é
+ * round-robin ponderado (menor atribuições/peso). A atribuição fica em
+ * `seller_assignments`, então o mesmo lead sempre volta para o mesmo vendedor.
+ */
+
+import fs from 'fs';
+import { query } from './db.js';
+import { ensureSchema } from './migrations.js';
+import { normalizeNumber } from './uazapiClient.js';
+import { isBusinessTime } from './timeUtils.js';
+import { currentTenant, currentTenantId, DEFAULT_TENANT_ID } from './tenants.js';
+
+const ROUTING = (process.env.SELLER_ROUTING || 'segment').toLowerCase();
+
+const norm = (s = '') =>
+  String(s).toLowerCase().normalize('NFD').replace(/\p{Diacritic}/gu, '').trim();
+
+function readRosterConfig() {
+  try {
+    if (process.env.SELLERS_JSON) return JSON.parse(process.env.SELLERS_JSON);
+    if (process.env.SELLERS_FILE) return JSON.parse(fs.readFileSync(process.env.SELLERS_FILE, 'utf8'));
+  } catch (err) {
+    console.error('❌ SELLERS_JSON/SELLERS_FILE inválido — usando REDIRECT_PHONE:', err.message);
+  }
+  return null;
+}
+
+function loadRoster(tenant) {
+  const raw = tenant.sellers || (tenant.id === DEFAULT_TENANT_ID ? readRosterConfig() : null);
+  const list = Array.isArray(raw) ? raw : [];
+  const roster = list
+    .map((s, i) => ({
+      id: String(s.id || normalizeNumber(s.phone) || i),
+      name: String(s.name || 'Vendedor').trim(),
+      phone: normalizeNumber(s.phone || ''),
+      hours: s.hours || null,
+      days: s.days || null,
+      segments: (Array.isArray(s.segments) ? s.segments : []).map(norm).filter(Boolean),
+      weight: Number(s.weight) > 0 ? Number(s.weight) : 1,
+    }))
+    .filter(s => s.phone);
+  if (roster.length) return roster;
+  const phone = normalizeNumber(tenant.redirectPhone || '');
+  return phone
+    ? [{ id: 'default', name: tenant.humanName || 'Jonas', phone, hours: null, days: null, segments: [], weight: 1 }]
+    : [];
+}
+
+const rosters = new Map(); // tenant id -> { roster, updatedAt }
+
+/** Time de vendedores do tenant atual */
+export function getRoster() {
+  const tenant = currentTenant();
+  const hit = rosters.get(tenant.id);
+  if (hit && hit.updatedAt === String(tenant.updatedAt)) return hit.roster;
+  const roster = loadRoster(tenant);
+  rosters.set(tenant.id, { roster, updatedAt: String(tenant.updatedAt) });
+  if (roster.length > 1) console.log(`👥 ${roster.length} vendedores configurados para ${tenant.id} (roteamento: ${ROUTING})`);
+  return roster;
+}
+
+/** O número pertence a algum vendedor? (comandos /pausar, /retomar) */
+export function isSellerNumber(numberRaw) {
+  const number = normalizeNumber(numberRaw);
+  return !!number && getRoster().some(s => s.phone === number);
+}
+
+export function isSellerAvailable(seller, date = new Date()) {
+  if (!seller.hours && !seller.days) return true;
+  return isBusinessTime({ hours: seller.hours, days: seller.days }, date);
+}
+
+function matchesSegment(seller, segment) {
+  const seg = norm(segment);
+  if (!seg || !seller.segments.length) return false;
+  return seller.segments.some(s => seg.includes(s) || s.includes(seg));
+}
+
+async function assignmentCounts() {
+  const { rows } = await query(
+    'SELECT seller_id, COUNT(*)::int AS n FROM seller_assignments WHERE tenant_id = $1 GROUP BY seller_id',
+    [currentTenantId()]
+  );
+  return Object.fromEntries(rows.map(r => [r.seller_id, r.n]));
+}
+
+/** Escolhe um vendedor para um lead novo (não persiste) */
+async function pickSeller(segment) {
+  const roster = getRoster();
+  if (roster.length <= 1) return roster[0] || null;
+  let pool = roster;
+  if (ROUTING !== 'round_robin') {
+    const bySegment = roster.filter(s => matchesSegment(s, segment));
+    if (bySegment.length) pool = bySegment;
+  }
+  const available = pool.filter(s => isSellerAvailable(s));
+  if (available.length) pool = available;
+  else console.warn('⚠️ Nenhum vendedor no horário — atribuindo mesmo assim.');
+
+  const counts = await assignmentCounts();
+  return pool.reduce((best, s) => {
+    const load = (counts[s.id] || 0) / s.weight;
+    const bestLoad = (counts[best.id] || 0) / best.weight;
+    return load < bestLoad ? s : best;
+  });
+}
+
+async function getAssignedSeller(number) {
+  const { rows } = await query(
+    'SELECT seller_id FROM seller_assignments WHERE tenant_id = $1 AND number = $2',
+    [currentTenantId(), number]
+  );
+  const id = rows[0]?.seller_id;
+  return id ? getRoster().find(s => s.id === id) || null : null;
+}
+
+/**
+ * Vendedor que ficaria com o lead, sem gravar nada (usado para preencher o
+ * nome no prompt antes do handoff).
+ */
+export async function previewSeller(numberRaw, segment = '') {
+  const number = normalizeNumber(numberRaw);
+  try {
+    await ensureSchema();
+    return (await getAssignedSeller(number)) || (await pickSeller(segment));
+  } catch (err) {
+    console.error('Error previewing seller for', number, err.message);
+    return getRoster()[0] || null;
+  }
+}
+
+/**
+ * Atribui (ou recupera) o vendedor do lead e persiste a atribuição.
+ * Se o vendedor atribuído saiu do time, o lead é redistribuído.
+ *
+ * @returns {Promise<{id: string, name: string, phone: string}|null>}
+ */
+export async function assignSeller(numberRaw, segment = '') {
+  const number = normalizeNumber(numberRaw);
+  try {
+    await ensureSchema();
+    const current = await getAssignedSeller(number);
+    if (current) return current;
+    const seller = await pickSeller(segment);
+    if (!seller) return null;
+    const { rows } = await query(
+      `INSERT INTO seller_assignments (tenant_id, number, seller_id) VALUES ($3, $1, $2)
+       ON CONFLICT (tenant_id, number) DO UPDATE SET seller_id = EXCLUDED.seller_id, assigned_at = now()
+       RETURNING seller_id`,
+      [number, seller.id, currentTenantId()]
+    );
+    console.log(`👤 Lead ${number} atribuído a ${seller.name} (${rows[0].seller_id})`);
+    return seller;
+  } catch (err) {
+    console.error('Error assigning seller for', number, err.message);
+    return getRoster()[0] || null;
+  }
+}
@@ -0,0 +1,232 @@
+// src/stateMachine.js
+
+/**
+ * Máquina de estados da conversa (server-side).
+ *
+ * O prompt descreve os estágios INTRO / EXPLORING / WAITING_EMAIL / CLOSED,
+ * mas confiar na memória do modelo gera handoffs duplicados e mensagens
+ * depois de uma rejeição. Aqui o estágio é lido/gravado via
+ * getSessionState/saveSessionState: cada transição vira uma entrada `meta`
+ * no histórico, com origem, destino e motivo.
+ */
+
+import { getHistory, getSessionState, saveSessionState } from './conversationStore.js';
+import { normalizeNumber } from './uazapiClient.js';
+import { recordVariantEvent } from './experiments.js';
+
+export const STAGES = Object.freeze({
+  INTRO: 'INTRO',
+  EXPLORING: 'EXPLORING',
+  WAITING_EMAIL: 'WAITING_EMAIL',
+  CLOSED_FORWARDED: 'CLOSED_FORWARDED',
+  CLOSED_REJECTED: 'CLOSED_REJECTED',
+  CLOSED_RESOLVED: 'CLOSED_RESOLVED',
+});
+
+const CLOSED_STAGES = new Set([
+  STAGES.CLOSED_FORWARDED,
+  STAGES.CLOSED_REJECTED,
+  STAGES.CLOSED_RESOLVED,
+]);
+
+// Transições permitidas (origem -> destinos). CLOSED_FORWARDED é terminal:
+// depois do handoff o lead continua sendo respondido, mas nunca volta ao funil.
+const TRANSITIONS = {
+  [STAGES.INTRO]: [STAGES.EXPLORING, STAGES.WAITING_EMAIL, STAGES.CLOSED_FORWARDED, STAGES.CLOSED_REJECTED, STAGES.CLOSED_RESOLVED],
+  [STAGES.EXPLORING]: [STAGES.WAITING_EMAIL, STAGES.CLOSED_FORWARDED, STAGES.CLOSED_REJECTED, STAGES.CLOSED_RESOLVED],
+  [STAGES.WAITING_EMAIL]: [STAGES.EXPLORING, STAGES.CLOSED_FORWARDED, STAGES.CLOSED_REJECTED, STAGES.CLOSED_RESOLVED],
+  [STAGES.CLOSED_REJECTED]: [STAGES.EXPLORING, STAGES.CLOSED_FORWARDED],
+  [STAGES.CLOSED_RESOLVED]: [STAGES.EXPLORING, STAGES.CLOSED_FORWARDED],
+  [STAGES.CLOSED_FORWARDED]: [],
+};
+
+// Estágios que contam no funil dos testes A/B (experiments.js)
+const FUNNEL_EVENTS = {
+  [STAGES.EXPLORING]: 'exploring',
+  [STAGES.CLOSED_FORWARDED]: 'handoff',
+  [STAGES.CLOSED_REJECTED]: 'rejected',
+};
+
+// Estágios que o modelo pode marcar pela tool update_lead. CLOSED_FORWARDED
+// só acontece pelo handoff (que notifica o vendedor) e INTRO não é destino.
+export const MODEL_STAGES = Object.freeze([
+  STAGES.EXPLORING,
+  STAGES.WAITING_EMAIL,
+  STAGES.CLOSED_REJECTED,
+  STAGES.CLOSED_RESOLVED,
+]);
+
+export const REJECTION_REASONS = Object.freeze([
+  'sem_interesse',
+  'ja_tem_fornecedor',
+  'preco',
+  'sem_tempo',
+  'nao_e_decisor',
+  'outro',
+]);
+
+export function isClosedStage(stage) {
+  return CLOSED_STAGES.has(stage);
+}
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// ===== DETECÇÃO DE INTENÇÃO NO TEXTO DO LEAD =====
+const norm = (s = '') =>
+  String(s).toLowerCase().normalize('NFD').replace(/\p{Diacritic}/gu, '').replace(/\s+/g, ' ').trim();
+
+const EMAIL_RE = /[\w.+-]+@[\w-]+(\.[\w-]+)+/;
+
+// Recusa/resolução só quando a mensagem inteira é isso (fora pontuação e
+// cortesias no fim); frases com mais contexto ("agora não posso, me chama
+// amanhã", "já temos fornecedor, mas quero ver") ficam para o modelo decidir
+// pela tool update_lead. `nao` sozinho é o valor canônico do botão/texto de
+// recusa (canonicalizeMenuChoice).
+const COURTESY_RE = /(?: (?:muito )?(?:obrigad[oa]|valeu|vlw|ok|tchau|abracos?))+$/;
+const REJECTION_RE = /^(?:nao )?(?:nao|nao quero|nao (?:tenho|temos) (?:mais )?interesse|nao me interessa|sem interesse|nao preciso|nao precisamos)$/;
+const RESOLVED_RE = /^ja (?:fechamos|fechei|resolvemos|resolvi|temos fornecedor|tenho fornecedor)$/;
+
+/** Texto normalizado, sem pontuação nem cortesias no fim ("não, obrigado" → "nao") */
+const bareReply = (s = '') =>
+  norm(s).replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim().replace(COURTESY_RE, '');
+
+export function extractEmail(text = '') {
+  const m = String(text).match(EMAIL_RE);
+  return m ? m[0].toLowerCase() : null;
+}
+
+/**
+ * Decide o próximo estágio a partir de uma mensagem do lead.
+ * Retorna `{ stage, reason, patch }` ou null quando nada muda.
+ */
+export function inferStageFromUserText(state, text, history = []) {
+  const stage = state.stage;
+  const t = bareReply(text);
+  const email = extractEmail(text);
+
+  if (REJECTION_RE.test(t)) return { stage: STAGES.CLOSED_REJECTED, reason: 'lead_rejected' };
+  if (RESOLVED_RE.test(t)) return { stage: STAGES.CLOSED_RESOLVED, reason: 'lead_resolved' };
+
+  // Pedido de envio por e-mail (WAITING_EMAIL) é marcado pelo modelo via update_lead
+  if (stage === STAGES.WAITING_EMAIL && email) {
+    return { stage: STAGES.EXPLORING, reason: 'email_received', patch: { email } };
+  }
+
+  // Lead voltou a escrever depois de encerrado: reabre a conversa.
+  if (stage === STAGES.CLOSED_REJECTED || stage === STAGES.CLOSED_RESOLVED) {
+    return { stage: STAGES.EXPLORING, reason: 'lead_reopened' };
+  }
+  // INTRO termina quando o lead responde a uma mensagem da Luna.
+  if (stage === STAGES.INTRO && history.some(m => m?.role === 'assistant')) {
+    return { stage: STAGES.EXPLORING, reason: 'lead_replied' };
+  }
+  return null;
+}
+
+const cleanText = (v, max) => {
+  const t = typeof v === 'string' ? v.replace(/\s+/g, ' ').trim() : '';
+  return t ? t.slice(0, max) : null;
+};
+
+/**
+ * Valida os argumentos da tool update_lead. Valores fora dos enums (ou
+ * e-mail inválido) são descartados e listados em `rejected`.
+ *
+ * @param {object} args { stage, lead_name, segment, email, rejection_reason }
+ * @returns {{ stage: string|null, patch: object, rejected: string[] }}
+ */
+export function parseLeadUpdate(args = {}) {
+  const patch = {};
+  const rejected = [];
+  let stage = null;
+  if (args.stage != null && args.stage !== '') {
+    const s = String(args.stage).trim().toUpperCase();
+    if (MODEL_STAGES.includes(s)) stage = s;
+    else rejected.push(`stage=${args.stage}`);
+  }
+  const name = cleanText(args.lead_name, 80);
+  if (name) patch.leadName = name;
+  const segment = cleanText(args.segment, 80);
+  if (segment) patch.segment = segment;
+  if (args.email != null && args.email !== '') {
+    const email = extractEmail(args.email);
+    if (email) patch.email = email;
+    else rejected.push(`email=${args.email}`);
+  }
+  if (args.rejection_reason != null && args.rejection_reason !== '') {
+    const reason = String(args.rejection_reason).trim().toLowerCase();
+    if (REJECTION_REASONS.includes(reason)) patch.rejectionReason = reason;
+    else rejected.push(`rejection_reason=${args.rejection_reason}`);
+  }
+  return { stage, patch, rejected };
+}
+
+/**
+ * Carrega o estado normalizado do número. Sessões antigas (sem `stage`)
+ * que já tiveram `[handoff]` no histórico são tratadas como encaminhadas.
+ */
+export async function loadSession(numberRaw) {
+  const number = normalizeNumber(numberRaw);
+  const state = await getSessionState(number);
+  const next = { ...state };
+  if (!next.stage || !TRANSITIONS[next.stage]) next.stage = STAGES.INTRO;
+  if (!next.forwarded) {
+    const history = await getHistory(number);
+    next.forwarded = history.some(m => m?.role === 'assistant' && m.content === '[handoff]');
+    if (next.forwarded) next.stage = STAGES.CLOSED_FORWARDED;
+  }
+  return next;
+}
+
+/**
+ * Aplica uma transição e persiste o novo estado como entrada `meta`.
+ * Transições inválidas são recusadas (log + estado inalterado).
+ *
+ * @param {string} numberRaw WhatsApp number
+ * @param {object} state     Estado atual (de loadSession)
+ * @param {string} to        Estágio de destino (STAGES)
+ * @param {object} opts      { reason, patch } — patch é mesclado ao estado
+ * @returns {Promise<object>} Estado resultante
+ */
+export async function transitionStage(numberRaw, state, to, { reason = '', patch = {} } = {}) {
+  const number = normalizeNumber(numberRaw);
+  const from = state.stage;
+  if (from === to && !Object.keys(patch).length) return state;
+  if (from !== to && !canTransition(from, to)) {
+    console.warn(`🚫 Transição recusada ${from} → ${to} (${reason || 'sem motivo'})`);
+    return state;
+  }
+  const at = new Date().toISOString();
+  const next = {
+    ...state,
+    ...patch,
+    stage: to,
+    stageChangedAt: from !== to ? at : state.stageChangedAt || null,
+    lastTransition: { from, to, reason, at },
+  };
+  if (to === STAGES.CLOSED_FORWARDED) {
+    next.forwarded = true;
+    next.forwardedAt = next.forwardedAt || at;
+  }
+  await saveSessionState(number, next);
+  console.log(`🔀 Estágio ${from} → ${to} (${reason || 'sem motivo'})`);
+  if (from !== to && FUNNEL_EVENTS[to]) await recordVariantEvent(number, FUNNEL_EVENTS[to]);
+  return next;
+}
+
+/**
+ * Atualiza o estágio a partir de uma mensagem recebida do lead.
+ * Deve ser chamado depois de registrar a mensagem no histórico.
+ */
+export async function advanceOnInbound(numberRaw, text) {
+  const number = normalizeNumber(numberRaw);
+  const state = await loadSession(number);
+  const history = await getHistory(number);
+  // Resposta a uma mensagem da Luna (funil dos testes A/B)
+  if (history.some(m => m?.role === 'assistant')) await recordVariantEvent(number, 'replied');
+  const decision = inferStageFromUserText(state, text, history);
+  if (!decision) return state;
+  return transitionStage(number, state, decision.stage, decision);
+}
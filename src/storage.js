@@ -0,0 +1,186 @@
+// src/storage.js
+
+/**
+ * ===== ARMAZENAMENTO COM FALLBACK (PostgreSQL → memória) =====
+ *
+ * Backends:
+ *   - postgres (primário): o banco de sempre
+ *   - memory (fallback): cada módulo do caminho da resposta guarda o que
+ *     precisa no processo enquanto o banco está fora — histórico e estado das
+ *     conversas (conversationStore.js), fila de saída (outbox.js), lista de
+ *     supressão (suppression.js) e limite de envio (rateLimiter.js)
+ *
+ * Troca automática:
+ *   - Erro de conexão em qualquer operação (withFallback) ou no probe
+ *     periódico (SELECT 1 a cada STORAGE_HEALTH_INTERVAL_MS) marca o banco
+ *     como fora: as operações seguintes já vão direto para a memória
+ *   - Quando o probe volta a responder, cada fallback registrado sincroniza
+ *     o que ficou só na memória (registerFallback → flush) e o postgres volta
+ *     a ser o backend ativo. Se a sincronização falhar, continua na memória
+ *     e tenta de novo no próximo probe
+ *
+ * A memória não sobrevive a restart: o que não foi sincronizado se perde.
+ * Agendadores (campanhas, follow-ups) simplesmente pulam os ciclos com o
+ * banco fora.
+ */
+
+import { ping, setDatabaseAvailable } from './db.js';
+
+const HEALTH_INTERVAL_MS = Number(process.env.STORAGE_HEALTH_INTERVAL_MS || 10000);
+
+// Erros de conexão/disponibilidade (o resto continua sendo erro da operação)
+const CONNECTION_ERROR_CODES = new Set([
+  'EDBDOWN', // db.js com o banco marcado como fora
+  'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'EAI_AGAIN',
+  '57P01', '57P02', '57P03', // admin_shutdown, crash_shutdown, cannot_connect_now
+  '53300', // too_many_connections
+]);
+const CONNECTION_ERROR_RE = /connection terminated|timeout exceeded when trying to connect|connection (?:error|refused)|client has encountered a connection error|cannot use a pool after calling end/i;
+
+const postgres = {
+  ok: true,
+  checkedAt: null,
+  latencyMs: null,
+  lastError: null,
+  downSince: null,
+};
+
+const fallbacks = new Map(); // name -> { pending, flush }
+let recovering = false;
+
+export function isConnectionError(err) {
+  if (!err) return false;
+  const code = String(err.code || '');
+  if (CONNECTION_ERROR_CODES.has(code) || code.startsWith('08')) return true;
+  return CONNECTION_ERROR_RE.test(String(err.message || ''));
+}
+
+/** O PostgreSQL está disponível (backend ativo = postgres)? */
+export function isDatabaseUp() {
+  return postgres.ok;
+}
+
+/** Nome do backend em uso: 'postgres' | 'memory' */
+export function activeBackend() {
+  return postgres.ok ? 'postgres' : 'memory';
+}
+
+/** Marca o banco como fora (idempotente) — as próximas operações usam a memória */
+export function markDatabaseDown(err) {
+  postgres.lastError = String(err?.message || err || 'erro desconhecido');
+  setDatabaseAvailable(false);
+  if (!postgres.ok) return;
+  postgres.ok = false;
+  postgres.downSince = new Date();
+  console.error('🛑 PostgreSQL indisponível — usando armazenamento em memória:', postgres.lastError);
+}
+
+/**
+ * Roda `primary` no PostgreSQL; com o banco fora (ou se ele cair agora, por
+ * erro de conexão) roda `fallback` no lugar. Outros erros sobem normalmente.
+ */
+export async function withFallback(primary, fallback) {
+  if (!postgres.ok) return fallback();
+  try {
+    return await primary();
+  } catch (err) {
+    if (!isConnectionError(err)) throw err;
+    markDatabaseDown(err);
+    return fallback();
+  }
+}
+
+/**
+ * Registra o fallback em memória de um módulo.
+ * @param {string} name
+ * @param {object} hooks { pending: () => number, flush: () => Promise<void> }
+ *                 flush grava no banco o que ficou só na memória (lança em caso de erro)
+ */
+export function registerFallback(name, { pending = () => 0, flush = async () => {} } = {}) {
+  fallbacks.set(name, { pending, flush });
+}
+
+function pendingCounts() {
+  return Object.fromEntries([...fallbacks].map(([name, f]) => [name, Number(f.pending()) || 0]));
+}
+
+const totalPending = () => Object.values(pendingCounts()).reduce((a, b) => a + b, 0);
+
+async function flushAll() {
+  for (const [name, f] of fallbacks) {
+    if (!f.pending()) continue;
+    try {
+      await f.flush();
+    } catch (err) {
+      throw new Error(`${name}: ${err.message}`);
+    }
+  }
+}
+
+/** Banco respondeu de novo: sincroniza a memória e volta para o postgres */
+async function recover() {
+  if (recovering) return;
+  recovering = true;
+  try {
+    // Libera o banco para a sincronização; as escritas novas seguem na memória até o fim
+    setDatabaseAvailable(true);
+    const before = totalPending();
+    await flushAll();
+    postgres.ok = true;
+    postgres.lastError = null;
+    const downFor = postgres.downSince ? Math.round((Date.now() - postgres.downSince) / 1000) : 0;
+    postgres.downSince = null;
+    // Escritas que chegaram durante a sincronização
+    await flushAll().catch(err => console.error('Error flushing storage fallback after recovery:', err.message));
+    console.log(`✅ PostgreSQL de volta após ${downFor}s — ${before} pendência(s) sincronizada(s) da memória.`);
+  } catch (err) {
+    postgres.lastError = err.message;
+    if (!postgres.ok) setDatabaseAvailable(false);
+    console.error('❌ Falha ao sincronizar a memória com o PostgreSQL (continua em memória):', err.message);
+  } finally {
+    recovering = false;
+  }
+}
+
+/** Um probe de saúde do PostgreSQL */
+export async function checkDatabaseHealth() {
+  const started = Date.now();
+  try {
+    await ping();
+    postgres.latencyMs = Date.now() - started;
+    postgres.checkedAt = new Date();
+    if (!postgres.ok) await recover();
+    else if (totalPending() && !recovering) {
+      // Sobras da última sincronização
+      await flushAll().catch(err => console.error('Error flushing storage fallback:', err.message));
+    }
+  } catch (err) {
+    postgres.checkedAt = new Date();
+    postgres.latencyMs = null;
+    markDatabaseDown(err);
+  }
+  return postgres.ok;
+}
+
+/**
+ * Saúde de cada backend (GET /admin/storage).
+ * @returns {{active: string, backends: {postgres: object, memory: object}}}
+ */
+export function getStorageHealth() {
+  return {
+    active: activeBackend(),
+    backends: {
+      postgres: { ...postgres },
+      memory: { ok: true, pending: pendingCounts() },
+    },
+  };
+}
+
+/** Inicia o probe periódico (chamado uma vez no boot) */
+export function startStorageMonitor() {
+  const timer = setInterval(() => { checkDatabaseHealth(); }, HEALTH_INTERVAL_MS);
+  timer.unref?.();
+  checkDatabaseHealth();
+  console.log(`🩺 Monitor de armazenamento ativo (probe a cada ${HEALTH_INTERVAL_MS}ms, fallback em memória)`);
+  return timer;
+}
@@ -0,0 +1,181 @@
+// src/suppression.js
+
+/**
+ * Lista de supressão (opt-out / não contatar), persistida no PostgreSQL e
+ * separada por tenant (o mesmo número pode sair de uma instância só).
+ *
+ * Um número entra na lista quando o lead pede para parar ("sair", "para de
+ * mandar mensagem"…), quando o modelo chama a ferramenta `opt_out` ou via
+ * rota admin. Todos os caminhos de envio do queue.js consultam a lista e só
+ * deixam passar UMA mensagem de confirmação por número (confirmation_sent).
+ *
+ * Banco fora (storage.js): opt-outs novos ficam em memória e são gravados
+ * quando ele volta; a consulta usa a memória e o último valor em cache (número
+ * nunca consultado conta como não suprimido).
+ */
+
+import { query } from './db.js';
+import { ensureSchema } from './migrations.js';
+import { normalizeNumber } from './uazapiClient.js';
+import { withFallback, registerFallback } from './storage.js';
+import { currentTenantId } from './tenants.js';
+
+// Cache curto para não consultar o banco a cada envio
+const cache = new Map(); // tenant:number -> { suppressed, timestamp }
+const CACHE_TTL_MS = 60000;
+
+// Opt-outs registrados com o banco fora: tenant:number -> { tenantId, number, reason, source, confirmationSent, createdAt }
+const memorySuppressed = new Map();
+
+const cacheKey = (number) => `${currentTenantId()}:${number}`;
+
+registerFallback('suppression', {
+  pending: () => memorySuppressed.size,
+  async flush() {
+    await ensureSchema();
+    for (const [key, s] of memorySuppressed) {
+      await query(
+        `INSERT INTO suppressed_numbers (tenant_id, number, reason, source, confirmation_sent, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (tenant_id, number) DO UPDATE
+           SET confirmation_sent = suppressed_numbers.confirmation_sent OR EXCLUDED.confirmation_sent`,
+        [s.tenantId, s.number, s.reason || null, s.source, s.confirmationSent, s.createdAt]
+      );
+      memorySuppressed.delete(key);
+    }
+  },
+});
+
+// ===== DETECÇÃO POR PALAVRA-CHAVE =====
+const norm = (s = '') =>
+  String(s).toLowerCase().normalize('NFD').replace(/\p{Diacritic}/gu, '').replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Mensagens que, sozinhas, são pedido de saída
+const EXACT_KEYWORDS = new Set(['sair', 'pare', 'parar', 'stop', 'descadastrar', 'remover', 'cancelar inscricao']);
+// Pedidos de saída em qualquer parte da mensagem: exigem o "parar"/"mais"
+// ("não me manda áudio, prefiro texto" não é opt-out)
+const STOP_PATTERNS = [
+  /\bpar(a|e|ar|em) de (me )?(mandar|enviar|chamar)\b/,
+  /\bnao (me )?(mand[ae]|envi[ae]|cham[ae]|procur[ae]) mais\b/,
+  /\bnao quero (mais receber|receber mais)\b/,
+  /\bnao quero receber (nada|mensage(m|ns))( (sua|suas|de voces?))?$/,
+  /\bnao (entre|entra) mais em contato\b/,
+  /\bme (tira|tire|remove|remova) da (sua )?lista\b/,
+  /\b(tira|tire|remove|remova|remover) (o )?meu numero\b/,
+  /\bme descadastr[ae]\b/,
+];
+
+/** O texto do lead é um pedido de opt-out? */
+export function detectOptOut(text = '') {
+  const t = norm(text);
+  if (!t) return false;
+  if (EXACT_KEYWORDS.has(t)) return true;
+  return STOP_PATTERNS.some(re => re.test(t));
+}
+
+// ===== CONSULTA / ESCRITA =====
+
+export async function isSuppressed(numberRaw) {
+  const number = normalizeNumber(numberRaw);
+  const key = cacheKey(number);
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.timestamp < CACHE_TTL_MS) return hit.suppressed;
+  if (memorySuppressed.has(key)) return true;
+  return withFallback(async () => {
+    await ensureSchema();
+    const { rows } = await query(
+      'SELECT 1 FROM suppressed_numbers WHERE tenant_id = $1 AND number = $2',
+      [currentTenantId(), number]
+    );
+    const suppressed = rows.length > 0;
+    cache.set(key, { suppressed, timestamp: Date.now() });
+    return suppressed;
+  }, () => Boolean(hit?.suppressed)); // cache vencido vale mais que nada
+}
+
+/**
+ * Adiciona o número à lista (idempotente).
+ * @param {string} numberRaw
+ * @param {object} opts { reason, source: 'keyword' | 'model' | 'admin' }
+ */
+export async function suppressNumber(numberRaw, { reason = '', source = 'keyword' } = {}) {
+  const number = normalizeNumber(numberRaw);
+  const tenantId = currentTenantId();
+  const key = cacheKey(number);
+  // Inclusões manuais não recebem confirmação
+  await withFallback(async () => {
+    await ensureSchema();
+    await query(
+      `INSERT INTO suppressed_numbers (tenant_id, number, reason, source, confirmation_sent)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (tenant_id, number) DO NOTHING`,
+      [tenantId, number, reason || null, source, source === 'admin']
+    );
+  }, () => {
+    if (memorySuppressed.has(key)) return;
+    memorySuppressed.set(key, { tenantId, number, reason, source, confirmationSent: source === 'admin', createdAt: new Date() });
+  });
+  cache.set(key, { suppressed: true, timestamp: Date.now() });
+  console.log(`🔕 Número suprimido (${source}):`, number);
+}
+
+/**
+ * Tira o número da lista. Com o banco fora só dá para desfazer opt-outs que
+ * ainda estão na memória; os gravados no banco continuam valendo.
+ * @returns {Promise<boolean>} true se o número estava suprimido
+ */
+export async function unsuppressNumber(numberRaw) {
+  const number = normalizeNumber(numberRaw);
+  const key = cacheKey(number);
+  const fromMemory = memorySuppressed.delete(key);
+  const removed = await withFallback(async () => {
+    await ensureSchema();
+    const r = await query(
+      'DELETE FROM suppressed_numbers WHERE tenant_id = $1 AND number = $2',
+      [currentTenantId(), number]
+    );
+    return r.rowCount > 0;
+  }, () => {
+    if (!fromMemory) console.warn('⚠️ Banco fora: opt-out gravado no banco não pode ser removido agora:', number);
+    return false;
+  });
+  cache.delete(key);
+  return fromMemory || removed;
+}
+
+export async function listSuppressed({ limit = 100, offset = 0 } = {}) {
+  await ensureSchema();
+  const tenant = currentTenantId();
+  const { rows } = await query(
+    `SELECT number, reason, source, confirmation_sent, created_at
+       FROM suppressed_numbers WHERE tenant_id = $3 ORDER BY created_at DESC LIMIT $1 OFFSET $2`,
+    [limit, offset, tenant]
+  );
+  const total = await query('SELECT COUNT(*)::int AS n FROM suppressed_numbers WHERE tenant_id = $1', [tenant]);
+  return { total: total.rows[0].n, items: rows };
+}
+
+/**
+ * Reserva a única mensagem de confirmação permitida para um número suprimido.
+ * Retorna true apenas na primeira chamada.
+ */
+export async function claimOptOutConfirmation(numberRaw) {
+  const number = normalizeNumber(numberRaw);
+  const pending = memorySuppressed.get(cacheKey(number));
+  const inMemory = () => {
+    // Suprimido antes do incidente: sem como saber se já confirmou — não manda de novo
+    if (!pending || pending.confirmationSent) return false;
+    pending.confirmationSent = true;
+    return true;
+  };
+  if (pending) return inMemory();
+  return withFallback(async () => {
+    await ensureSchema();
+    const r = await query(
+      `UPDATE suppressed_numbers SET confirmation_sent = true
+        WHERE tenant_id = $1 AND number = $2 AND confirmation_sent = false`,
+      [currentTenantId(), number]
+    );
+    return r.rowCount > 0;
+  }, inMemory);
+}
@@ -0,0 +1,235 @@
+// src/tenants.js
+
+/**
+ * Multi-tenant: vários números de WhatsApp (instâncias Uazapi) e produtos
+ * atendidos pelo mesmo deploy.
+ *
+ * Cada linha de `tenants` corresponde a uma instância Uazapi (token próprio)
+ * e guarda o prompt, o roteamento humano (REDIRECT_PHONE / HUMAN_NAME /
+ * vendedores) e as mídias daquele cliente. Campos vazios herdam do .env.
+ *
+ * O tenant "default" é montado a partir das variáveis de ambiente de sempre
+ * (UAZAPI_BASE_URL, UAZAPI_TOKEN, PRODUCT_PROMPT, VIDEO_URL, REDIRECT_PHONE…),
+ * então um deploy sem nenhuma linha em `tenants` funciona como antes. Uma
+ * linha com id "default" sobrescreve esses valores.
+ *
+ * O tenant da requisição/tarefa atual fica em um AsyncLocalStorage:
+ *   - webhook: escolhido pelo path (/webhook/:tenant) ou pelo identificador
+ *     da instância no payload (token / instanceName / owner)
+ *   - workers (fila de saída, buffer, follow-ups, campanhas): a linha
+ *     processada carrega o tenant_id e roda dentro de runWithTenant()
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { query } from './db.js';
+import { ensureSchema } from './migrations.js';
+import { withFallback, isDatabaseUp } from './storage.js';
+import { UAZAPI_BASE_URL, UAZAPI_TOKEN, PRODUCT_PROMPT } from './config.js';
+
+export const DEFAULT_TENANT_ID = 'default';
+
+const storage = new AsyncLocalStorage();
+const cache = new Map(); // id -> { tenant, timestamp }
+const CACHE_TTL_MS = 60000;
+
+/** Tenant padrão, montado a partir do .env */
+function envTenant() {
+  return {
+    id: DEFAULT_TENANT_ID,
+    name: process.env.TENANT_NAME || 'default',
+    uazapiBaseUrl: UAZAPI_BASE_URL,
+    uazapiToken: UAZAPI_TOKEN,
+    instanceId: process.env.UAZAPI_INSTANCE || null,
+    prompt: PRODUCT_PROMPT || null,
+    humanName: process.env.HUMAN_NAME || 'Jonas',
+    redirectPhone: process.env.REDIRECT_PHONE || null,
+    sellers: null, // sellers.js lê SELLERS_JSON / SELLERS_FILE
+    // VIDEO_URL é sempre o vídeo de demonstração, mesmo sem extensão (Drive, CDN)
+    media: process.env.VIDEO_URL ? { video: { url: process.env.VIDEO_URL, type: 'video' } } : {},
+    settings: {},
+    active: true,
+  };
+}
+
+/** Linha do banco → tenant (campos vazios herdam do .env) */
+function fromRow(row) {
+  const base = envTenant();
+  return {
+    id: row.id,
+    name: row.name,
+    uazapiBaseUrl: row.uazapi_base_url || base.uazapiBaseUrl,
+    uazapiToken: row.uazapi_token || base.uazapiToken,
+    instanceId: row.instance_id || null,
+    prompt: row.prompt || (row.id === DEFAULT_TENANT_ID ? base.prompt : null),
+    humanName: row.human_name || base.humanName,
+    redirectPhone: row.redirect_phone || base.redirectPhone,
+    sellers: Array.isArray(row.sellers) ? row.sellers : null,
+    media: { ...base.media, ...(row.media || {}) },
+    settings: row.settings || {},
+    active: row.active,
+    updatedAt: row.updated_at,
+  };
+}
+
+/** Tenant da requisição/tarefa atual (ou o padrão) */
+export function currentTenant() {
+  return storage.getStore() || envTenant();
+}
+
+export function currentTenantId() {
+  return currentTenant().id;
+}
+
+/** Executa fn com o tenant informado como contexto */
+export function runWithTenant(tenant, fn) {
+  return storage.run(tenant || envTenant(), fn);
+}
+
+/**
+ * Busca o tenant pelo id (cache de 60s). "default" sem linha no banco cai
+ * no tenant do .env.
+ * @returns {Promise<object|null>}
+ */
+export async function getTenant(id = DEFAULT_TENANT_ID) {
+  const key = String(id || DEFAULT_TENANT_ID);
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.timestamp < CACHE_TTL_MS) return hit.tenant;
+  let tenant = null;
+  try {
+    tenant = await withFallback(async () => {
+      await ensureSchema();
+      const { rows } = await query('SELECT * FROM tenants WHERE id = $1', [key]);
+      return rows[0] ? fromRow(rows[0]) : null;
+    }, () => hit?.tenant || null); // banco fora: último valor conhecido
+  } catch (err) {
+    console.error('Error loading tenant', key, err.message);
+    tenant = hit?.tenant || null;
+  }
+  if (!tenant && key === DEFAULT_TENANT_ID) tenant = envTenant();
+  cache.set(key, { tenant, timestamp: Date.now() });
+  return tenant;
+}
+
+/** Identificador da instância no payload do webhook da Uazapi */
+function instanceKeys(raw = {}) {
+  const b = raw?.body && typeof raw.body === 'object' ? raw.body : raw;
+  return [b?.token, b?.instance, b?.instanceName, b?.instance_id, b?.instanceId, b?.owner]
+    .filter(v => typeof v === 'string' && v.trim())
+    .map(v => v.trim());
+}
+
+// Há tenants além do padrão? (último valor visto no banco; null = ainda não sabemos)
+let hasOtherTenants = null;
+
+const matchesKeys = (t, keys) => Boolean(t) && (keys.includes(t.uazapiToken) || keys.includes(t.instanceId));
+
+/**
+ * Descobre o tenant de um webhook: path (/webhook/:tenant) tem prioridade;
+ * senão procura o token / id da instância do payload. Só cai no tenant
+ * padrão quando o payload não traz identificador, quando ele é o do .env ou
+ * quando não existe nenhum outro tenant — nunca responde o lead de outra
+ * instância com o token/prompt do padrão.
+ *
+ * @returns {Promise<object|null>} null quando o path/payload aponta para tenant inexistente/inativo
+ * @throws {Error} status 503 quando não dá para decidir (banco fora, tenant fora do cache)
+ */
+export async function resolveWebhookTenant({ pathTenant, raw } = {}) {
+  if (pathTenant) {
+    const t = await getTenant(pathTenant);
+    return t && t.active !== false ? t : null;
+  }
+  const keys = instanceKeys(raw);
+  if (!keys.length) return getTenant(DEFAULT_TENANT_ID);
+
+  let found = null;
+  if (isDatabaseUp()) {
+    try {
+      await ensureSchema();
+      const { rows } = await query(
+        `SELECT (SELECT id FROM tenants
+                  WHERE uazapi_token = ANY($1::text[]) OR instance_id = ANY($1::text[])
+                  ORDER BY active DESC LIMIT 1) AS id,
+                EXISTS (SELECT 1 FROM tenants WHERE id <> $2) AS others`,
+        [keys, DEFAULT_TENANT_ID]
+      );
+      hasOtherTenants = Boolean(rows[0]?.others);
+      if (rows[0]?.id) found = (await getTenant(rows[0].id)) || false;
+    } catch (err) {
+      console.error('Error resolving tenant from payload:', err.message);
+      throw Object.assign(new Error('não foi possível identificar o tenant'), { status: 503 });
+    }
+  } else {
+    // Banco fora: procura entre os tenants já carregados
+    found = [...cache.values()].map(c => c.tenant).find(t => matchesKeys(t, keys)) || null;
+  }
+  if (found) return found.active !== false ? found : null;
+  if (found === false) return null;
+
+  if (matchesKeys(envTenant(), keys) || hasOtherTenants === false) return getTenant(DEFAULT_TENANT_ID);
+  if (!isDatabaseUp()) {
+    throw Object.assign(new Error('banco fora e tenant da instância fora do cache'), { status: 503 });
+  }
+  return null;
+}
+
+// ===== ADMIN =====
+
+/** Versão para listagem: sem o token da Uazapi completo */
+export function publicTenant(t) {
+  if (!t) return t;
+  const token = t.uazapiToken ? `${String(t.uazapiToken).slice(0, 4)}…` : null;
+  return { ...t, uazapiToken: token };
+}
+
+export async function listTenants() {
+  await ensureSchema();
+  const { rows } = await query('SELECT * FROM tenants ORDER BY created_at');
+  const tenants = rows.map(fromRow);
+  if (!tenants.some(t => t.id === DEFAULT_TENANT_ID)) tenants.unshift(envTenant());
+  return tenants;
+}
+
+/**
+ * Cria ou atualiza um tenant.
+ * @param {string} id   slug usado em /webhook/:tenant
+ * @param {object} data { name, uazapiBaseUrl, uazapiToken, instanceId, prompt,
+ *                        humanName, redirectPhone, sellers, media, settings, active }
+ */
+export async function upsertTenant(id, data = {}) {
+  await ensureSchema();
+  const { rows } = await query(
+    `INSERT INTO tenants (id, name, uazapi_base_url, uazapi_token, instance_id, prompt,
+                          human_name, redirect_phone, sellers, media, settings, active)
+     VALUES ($1, COALESCE($2, $1), $3, $4, $5, $6, $7, $8, $9, COALESCE($10, '{}'::jsonb), COALESCE($11, '{}'::jsonb), COALESCE($12, true))
+     ON CONFLICT (id) DO UPDATE SET
+       name            = COALESCE($2, tenants.name),
+       uazapi_base_url = COALESCE($3, tenants.uazapi_base_url),
+       uazapi_token    = COALESCE($4, tenants.uazapi_token),
+       instance_id     = COALESCE($5, tenants.instance_id),
+       prompt          = COALESCE($6, tenants.prompt),
+       human_name      = COALESCE($7, tenants.human_name),
+       redirect_phone  = COALESCE($8, tenants.redirect_phone),
+       sellers         = COALESCE($9, tenants.sellers),
+       media           = COALESCE($10, tenants.media),
+       settings        = COALESCE($11, tenants.settings),
+       active          = COALESCE($12, tenants.active),
+       updated_at      = now()
+     RETURNING *`,
+    [
+      id,
+      data.name ?? null,
+      data.uazapiBaseUrl ?? null,
+      data.uazapiToken ?? null,
+      data.instanceId ?? null,
+      data.prompt ?? null,
+      data.humanName ?? null,
+      data.redirectPhone ?? null,
+      data.sellers ? JSON.stringify(data.sellers) : null,
+      data.media ? JSON.stringify(data.media) : null,
+      data.settings ? JSON.stringify(data.settings) : null,
+      typeof data.active === 'boolean' ? data.active : null,
+    ]
+  );
+  cache.delete(id);
+  return fromRow(rows[0]);
+}
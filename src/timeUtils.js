@@ -0,0 +1,98 @@
+// src/timeUtils.js
+
+/**
+ * Utilitários de horário no fuso do negócio (America/Sao_Paulo por padrão,
+ * sobrescrevível via TIMEZONE). Usados para horário comercial de campanhas,
+ * horário de silêncio de follow-ups etc.
+ *
+ * Janelas são strings "HH:MM-HH:MM" (ex.: "09:00-18:00"); janelas que
+ * atravessam a meia-noite ("22:00-08:00") também são aceitas. Dias da semana
+ * seguem Date#getDay (0 = domingo) em listas/intervalos: "1-5", "1,3,5".
+ */
+
+export const TIMEZONE = process.env.TIMEZONE || 'America/Sao_Paulo';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/** Partes da data no fuso informado: { weekday, hour, minute, dateKey } */
+export function zonedParts(date = new Date(), timeZone = TIMEZONE) {
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  });
+  const p = Object.fromEntries(fmt.formatToParts(date).map(x => [x.type, x.value]));
+  return {
+    weekday: WEEKDAYS.indexOf(p.weekday),
+    hour: Number(p.hour),
+    minute: Number(p.minute),
+    dateKey: `${p.year}-${p.month}-${p.day}`,
+  };
+}
+
+function toMinutes(hhmm) {
+  const m = String(hhmm || '').trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (!m) return null;
+  return Number(m[1]) * 60 + Number(m[2] || 0);
+}
+
+/** "09:00-18:00" -> { start: 540, end: 1080 } (null se inválido) */
+export function parseTimeWindow(spec) {
+  const [a, b] = String(spec || '').split('-');
+  const start = toMinutes(a);
+  const end = toMinutes(b);
+  if (start == null || end == null) return null;
+  return { start, end };
+}
+
+/** "1-5" | "1,3,5" -> Set de dias (0 = domingo). Vazio/inválido = todos os dias. */
+export function parseDays(spec) {
+  const days = new Set();
+  for (const part of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [a, b] = part.split('-').map(Number);
+    if (isNaN(a)) continue;
+    const end = isNaN(b) ? a : b;
+    for (let d = a; d <= end && d <= 6; d++) days.add(d);
+  }
+  return days.size ? days : new Set([0, 1, 2, 3, 4, 5, 6]);
+}
+
+/** A data cai dentro da janela? Janela nula/ inválida = sempre dentro. */
+export function isWithinWindow(windowSpec, date = new Date(), timeZone = TIMEZONE) {
+  const w = typeof windowSpec === 'string' ? parseTimeWindow(windowSpec) : windowSpec;
+  if (!w) return true;
+  const { hour, minute } = zonedParts(date, timeZone);
+  const now = hour * 60 + minute;
+  if (w.start === w.end) return true;
+  return w.start < w.end
+    ? now >= w.start && now < w.end
+    : now >= w.start || now < w.end; // atravessa a meia-noite
+}
+
+/** Dentro do horário comercial ({ hours: "09:00-18:00", days: "1-5" })? */
+export function isBusinessTime({ hours, days } = {}, date = new Date(), timeZone = TIMEZONE) {
+  const { weekday } = zonedParts(date, timeZone);
+  if (!parseDays(days).has(weekday)) return false;
+  return isWithinWindow(hours, date, timeZone);
+}
+
+/** Data/hora por extenso no fuso: "segunda-feira, 19/10/2026 14:32" */
+export function formatZonedDateTime(date = new Date(), timeZone = TIMEZONE) {
+  const fmt = new Intl.DateTimeFormat('pt-BR', {
+    timeZone,
+    weekday: 'long',
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  });
+  const p = Object.fromEntries(fmt.formatToParts(date).map(x => [x.type, x.value]));
+  return `${p.weekday}, ${p.day}/${p.month}/${p.year} ${p.hour}:${p.minute}`;
+}
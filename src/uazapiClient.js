@@ -8,11 +8,14 @@
  *   - UAZAPI_SEND_TEXT_PATH
  *   - UAZAPI_SEND_MEDIA_PATH
  *   - UAZAPI_SEND_MENU_PATH
+ *
+ * URL base e token vêm do tenant atual (tenants.js); sem tenant, do .env.
  */
 
 import axios from 'axios';
 import FormData from 'form-data';
-import { UAZAPI_BASE_URL, UAZAPI_TOKEN, OPENAI_API_KEY } from './config.js';
+import { OPENAI_API_KEY } from './config.js';
+import { currentTenant } from './tenants.js';
 
 const LOG_TRANSCR = (process.env.LOG_TRANSCR ?? '1') !== '0';
 const short = (v, n = Number(process.env.LOG_PREVIEW_LEN || 160)) => {
@@ -31,20 +34,21 @@ export function normalizeNumber(n) {
   return s.replace(/\D/g, '');
 }
 
+// Sem baseURL fixa: cada chamada monta a URL com a instância do tenant atual
 const api = axios.create({
-  baseURL: cleanBaseURL(UAZAPI_BASE_URL) || '',
   timeout: 20000,
 });
 
 function ensureEnv() {
-  const base = cleanBaseURL(UAZAPI_BASE_URL);
-  if (!base) throw new Error('UAZAPI_BASE_URL não configurado.');
-  if (!UAZAPI_TOKEN) throw new Error('UAZAPI_TOKEN não configurado.');
+  const tenant = currentTenant();
+  const base = cleanBaseURL(tenant.uazapiBaseUrl);
+  if (!base) throw new Error(`UAZAPI_BASE_URL não configurado (tenant ${tenant.id}).`);
+  if (!tenant.uazapiToken) throw new Error(`UAZAPI_TOKEN não configurado (tenant ${tenant.id}).`);
   return base;
 }
 
 function buildHeaders(json = true) {
-  const base = { token: UAZAPI_TOKEN, convert: 'true' };
+  const base = { token: currentTenant().uazapiToken, convert: 'true' };
   return json ? { 'Content-Type': 'application/json', ...base } : base;
 }
 
@@ -242,12 +246,12 @@ export async function setTypingStatus(number) {
   ];
 
   try {
-    ensureEnv();
+    const base = ensureEnv();
     
     // Tenta cada endpoint até conseguir
     for (const path of possiblePaths) {
       try {
-        await api.post(path, payload, { 
+        await api.post(`${base}${path}`, payload, { 
           headers: buildHeaders(true),
           validateStatus: () => true,
         });
@@ -286,14 +290,14 @@ export async function downloadMessageMedia(messageId, transcribe = false) {
     download_quoted: false,
   };
   try {
-    ensureEnv();
+    const base = ensureEnv();
     if (LOG_TRANSCR) {
       // Não loga a chave da OpenAI
       const logged = { ...payload };
       delete logged.openai_apikey;
       console.log('🛰️ UAZAPI → POST /message/download', logged);
     }
-    const res = await api.post('/message/download', payload, { headers: buildHeaders(true) });
+    const res = await api.post(`${base}/message/download`, payload, { headers: buildHeaders(true) });
     if (LOG_TRANSCR) {
       console.log('🛰️ UAZAPI ← /message/download status', res.status, 'keys', Object.keys(res.data || {}));
     }
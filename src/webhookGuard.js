@@ -0,0 +1,189 @@
+// src/webhookGuard.js
+
+/**
+ * Proteção do webhook da Uazapi.
+ *
+ * 1. AUTENTICAÇÃO (WEBHOOK_SECRET):
+ *    - Token compartilhado enviado em `x-webhook-token`, `x-webhook-secret`,
+ *      `Authorization: Bearer <token>` ou `?token=` na URL (a Uazapi só deixa
+ *      configurar a URL, então o query param é o caminho mais comum)
+ *    - Sem WEBHOOK_SECRET o webhook segue aberto (com aviso no boot)
+ *
+ * 2. ALLOW-LIST DE IP (WEBHOOK_IP_ALLOWLIST, opcional):
+ *    - Lista separada por vírgula de IPs ou faixas IPv4 CIDR ("1.2.3.4,10.0.0.0/8")
+ *    - Atrás de proxy, configure TRUST_PROXY para o IP real vir do X-Forwarded-For
+ *
+ * 3. DEDUPLICAÇÃO (replay / reentrega da Uazapi):
+ *    - Cada WhatsApp message id é processado uma única vez (`processed_messages`)
+ *    - Só vale o id da própria mensagem (webhookMessageId); sem ele não há dedup
+ *    - O id é gravado só depois que a mensagem entrou no buffer
+ *      (recordMessageId): se o processo cair antes, a reentrega é processada
+ *    - Se o banco falhar, cai para um cache em memória limitado
+ *
+ * Toda recusa é logada com o motivo.
+ */
+
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+import { query } from './db.js';
+import { ensureSchema } from './migrations.js';
+import { withFallback } from './storage.js';
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const IP_ALLOWLIST = String(process.env.WEBHOOK_IP_ALLOWLIST || '')
+  .split(',').map(s => s.trim()).filter(Boolean);
+const DEDUP_RETENTION_DAYS = Number(process.env.WEBHOOK_DEDUP_RETENTION_DAYS || 7);
+
+// Fallback em memória (quando o banco está fora)
+const MEMORY_DEDUP_MAX = 5000;
+const memorySeen = new Map(); // id -> timestamp
+// Ids já aceitos nesta instância e ainda não gravados (reentrega simultânea)
+const inFlight = new Set();
+const PRUNE_INTERVAL_MS = 3600000;
+let lastPruneAt = 0;
+
+if (!WEBHOOK_SECRET) {
+  console.warn('⚠️ WEBHOOK_SECRET não definido — webhook aceita chamadas de qualquer origem.');
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+function extractToken(req) {
+  const auth = String(req.get('authorization') || '');
+  if (auth.toLowerCase().startsWith('bearer ')) return auth.slice(7).trim();
+  return req.get('x-webhook-token') || req.get('x-webhook-secret') || req.query?.token || '';
+}
+
+// ===== IP =====
+function ipv4ToInt(ip) {
+  const parts = String(ip).split('.').map(Number);
+  if (parts.length !== 4 || parts.some(p => isNaN(p) || p < 0 || p > 255)) return null;
+  return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+}
+
+function ipMatches(ip, rule) {
+  const clean = String(ip || '').replace(/^::ffff:/, '');
+  if (!rule.includes('/')) return clean === rule.replace(/^::ffff:/, '');
+  const [base, bitsRaw] = rule.split('/');
+  const bits = Number(bitsRaw);
+  const a = ipv4ToInt(clean);
+  const b = ipv4ToInt(base);
+  if (a == null || b == null || isNaN(bits)) return false;
+  const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  return ((a & mask) >>> 0) === ((b & mask) >>> 0);
+}
+
+export function isIpAllowed(ip) {
+  if (!IP_ALLOWLIST.length) return true;
+  return IP_ALLOWLIST.some(rule => ipMatches(ip, rule));
+}
+
+function reject(req, res, status, reason) {
+  console.warn('🚫 Webhook rejeitado:', { reason, ip: req.ip, path: req.originalUrl.split('?')[0] });
+  return res.status(status).send(`Rejected: ${reason}`);
+}
+
+/** Middleware: autenticação por token + allow-list de IP */
+export function webhookAuth(req, res, next) {
+  if (!isIpAllowed(req.ip)) return reject(req, res, 403, 'ip_not_allowed');
+  if (WEBHOOK_SECRET) {
+    const token = extractToken(req);
+    if (!token) return reject(req, res, 401, 'missing_token');
+    if (!safeEqual(token, WEBHOOK_SECRET)) return reject(req, res, 401, 'invalid_token');
+  }
+  return next();
+}
+
+// ===== DEDUPLICAÇÃO =====
+function rememberInMemory(id) {
+  memorySeen.set(id, Date.now());
+  if (memorySeen.size > MEMORY_DEDUP_MAX) {
+    memorySeen.delete(memorySeen.keys().next().value);
+  }
+}
+
+const validId = (v) => (typeof v === 'string' && v.trim().length >= 8 ? v.trim() : null);
+
+/**
+ * WhatsApp message id do payload, só dos campos da própria mensagem
+ * (nunca o id do chat ou do evento). null quando não veio.
+ */
+export function webhookMessageId(raw = {}) {
+  const root = raw?.body && typeof raw.body === 'object' ? raw.body : raw;
+  const cloud = root?.entry?.[0]?.changes?.[0]?.value?.messages?.[0];
+  const cands = [
+    root?.message?.key?.id,
+    root?.message?.messageid,
+    root?.message?.id,
+    root?.data?.message?.key?.id,
+    root?.data?.message?.messageid,
+    root?.data?.message?.id,
+    cloud?.key?.id,
+    cloud?.id,
+  ];
+  for (const c of cands) {
+    const id = validId(c);
+    if (id) return id;
+  }
+  return null;
+}
+
+function pruneProcessedMessages() {
+  if (Date.now() - lastPruneAt < PRUNE_INTERVAL_MS) return;
+  lastPruneAt = Date.now();
+  query(
+    'DELETE FROM processed_messages WHERE received_at < now() - make_interval(days => $1::int)',
+    [DEDUP_RETENTION_DAYS]
+  ).catch(err => console.error('Error pruning processed_messages:', err.message));
+}
+
+/**
+ * A mensagem já foi recebida (gravada ou em processamento nesta instância)?
+ * Quando retorna false o id fica reservado até recordMessageId/releaseMessageId.
+ *
+ * @param {string|null} messageId webhookMessageId(raw) — sem id, nunca é duplicata
+ * @returns {Promise<boolean>}
+ */
+export async function isDuplicateMessage(messageId) {
+  if (!messageId) return false;
+  if (inFlight.has(messageId) || memorySeen.has(messageId)) return true;
+  inFlight.add(messageId);
+  try {
+    const seen = await withFallback(async () => {
+      await ensureSchema();
+      const { rows } = await query('SELECT 1 FROM processed_messages WHERE id = $1', [messageId]);
+      return rows.length > 0;
+    }, () => false);
+    if (seen) inFlight.delete(messageId);
+    return seen;
+  } catch (err) {
+    console.error('Error checking message id:', err.message);
+    return false;
+  }
+}
+
+/** Grava o message id como processado (depois que a mensagem entrou no buffer) */
+export async function recordMessageId(messageId) {
+  if (!messageId) return;
+  try {
+    await withFallback(async () => {
+      await ensureSchema();
+      await query('INSERT INTO processed_messages (id) VALUES ($1) ON CONFLICT (id) DO NOTHING', [messageId]);
+      pruneProcessedMessages();
+    }, () => rememberInMemory(messageId));
+  } catch (err) {
+    console.error('Error recording message id (usando memória):', err.message);
+    rememberInMemory(messageId);
+  } finally {
+    inFlight.delete(messageId);
+  }
+}
+
+/** Libera a reserva sem gravar (a mensagem não foi aceita; uma reentrega será processada) */
+export function releaseMessageId(messageId) {
+  if (messageId) inFlight.delete(messageId);
+}
@@ -0,0 +1,27 @@
+import './env.js';
+import { queriesMatching, resetFakeDb } from './fakeDb.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { setDeliveryStatus } from '../src/conversationStore.js';
+
+const UPDATE = 'UPDATE messages SET delivery_status';
+
+test('id da fila no banco como string (BIGINT) atualiza as mensagens', async () => {
+  resetFakeDb();
+  await setDeliveryStatus('42', 'sent');
+  const [update] = queriesMatching(UPDATE);
+  assert.ok(update, 'UPDATE não executado');
+  assert.deepEqual(update.params, ['42', 'sent', null]);
+});
+
+test('id numérico e reenvio da dead-letter', async () => {
+  resetFakeDb();
+  await setDeliveryStatus(7, 'queued', 9);
+  assert.deepEqual(queriesMatching(UPDATE)[0]?.params, [7, 'queued', 9]);
+});
+
+test('id da fila em memória não vai ao banco', async () => {
+  resetFakeDb();
+  await setDeliveryStatus('mem-3', 'sent');
+  assert.equal(queriesMatching(UPDATE).length, 0);
+});
@@ -0,0 +1,10 @@
+// test/env.js
+
+/**
+ * Variáveis obrigatórias do config.js para os testes (importe antes de src/).
+ * Valores fictícios: nada aqui chama a Uazapi nem a OpenAI.
+ */
+
+process.env.UAZAPI_BASE_URL ||= 'http://uazapi.test';
+process.env.UAZAPI_TOKEN ||= 'test-token';
+process.env.OPENAI_API_KEY ||= 'test-key';
@@ -0,0 +1,38 @@
+// test/fakeDb.js
+
+/**
+ * PostgreSQL falso para os testes: troca query/connect do Pool do `pg` e
+ * grava cada comando em `queries`. As respostas saem de `respond` (padrão:
+ * nenhuma linha); as migrations rodam contra ele sem efeito.
+ */
+
+import { mock } from 'node:test';
+import pg from 'pg';
+
+export const queries = []; // { text, params }
+
+let responder = () => ({ rows: [], rowCount: 0 });
+
+/** Define a resposta do banco: fn(text, params) → { rows, rowCount } */
+export function respond(fn) {
+  responder = fn;
+}
+
+/** Comandos gravados cujo SQL contém `fragment` */
+export function queriesMatching(fragment) {
+  return queries.filter(q => q.text.includes(fragment));
+}
+
+export function resetFakeDb() {
+  queries.length = 0;
+  responder = () => ({ rows: [], rowCount: 0 });
+}
+
+async function fakeQuery(text, params = []) {
+  const sql = typeof text === 'string' ? text : text?.text || '';
+  queries.push({ text: sql, params });
+  return { rows: [], rowCount: 0, ...(responder(sql, params) || {}) };
+}
+
+mock.method(pg.Pool.prototype, 'query', fakeQuery);
+mock.method(pg.Pool.prototype, 'connect', async () => ({ query: fakeQuery, release() {} }));
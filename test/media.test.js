@@ -0,0 +1,19 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.VIDEO_URL = 'https://drive.google.com/uc?id=abc123&export=download';
+const { listMediaAssets, getMediaAsset, inferMediaType } = await import('../src/media.js');
+const { runWithTenant } = await import('../src/tenants.js');
+
+test('VIDEO_URL sem extensão continua sendo o vídeo de demonstração', () => {
+  runWithTenant(null, () => {
+    assert.deepEqual(listMediaAssets().filter(a => a.type === 'video').map(a => a.name), ['video']);
+    assert.equal(getMediaAsset(null, { type: 'video' })?.url, process.env.VIDEO_URL);
+  });
+});
+
+test('tipo pela extensão', () => {
+  assert.equal(inferMediaType('https://cdn.test/demo.MP4?x=1'), 'video');
+  assert.equal(inferMediaType('https://cdn.test/tabela.pdf'), 'document');
+});
@@ -0,0 +1,35 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectInboundMedia } from '../src/mediaInput.js';
+
+const PROFILE_PIC = 'https://pps.whatsapp.net/v/t61.24694-24/foto.jpg';
+
+test('áudio de contato com foto de perfil não vira imagem', () => {
+  const raw = { chat: { image: PROFILE_PIC }, message: { messageType: 'AudioMessage' } };
+  assert.equal(detectInboundMedia(raw), null);
+});
+
+test('texto de contato com foto de perfil não tem mídia', () => {
+  const raw = { chat: { image: PROFILE_PIC }, message: { messageType: 'Conversation', text: 'oi' } };
+  assert.equal(detectInboundMedia(raw), null);
+});
+
+test('imagem pela própria mensagem', () => {
+  const raw = {
+    chat: { image: PROFILE_PIC },
+    message: { messageType: 'ImageMessage', content: { mimetype: 'image/jpeg; charset=binary', fileLength: 1234 } },
+  };
+  assert.deepEqual(detectInboundMedia(raw), { kind: 'image', mimetype: 'image/jpeg', fileName: null, fileSize: 1234 });
+});
+
+test('documento PDF', () => {
+  const raw = { body: { message: { messageType: 'DocumentMessage', content: { mimetype: 'application/pdf', fileName: 'cardapio.pdf' } } } };
+  assert.equal(detectInboundMedia(raw).kind, 'document');
+  assert.equal(detectInboundMedia(raw).fileName, 'cardapio.pdf');
+});
+
+test('figurinha é ignorada', () => {
+  const raw = { message: { messageType: 'StickerMessage', content: { mimetype: 'image/webp' } } };
+  assert.equal(detectInboundMedia(raw), null);
+});
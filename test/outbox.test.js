@@ -0,0 +1,57 @@
+import http from 'node:http';
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Uazapi falsa: guarda o que o worker enviou
+const sent = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    sent.push(JSON.parse(body || '{}'));
+    res.writeHead(200, { 'Content-Type': 'application/json' }).end('{}');
+  });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+after(() => server.close());
+process.env.UAZAPI_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+process.env.RATE_LIMIT_PER_MINUTE = '0';
+
+await import('./env.js');
+const { queriesMatching, resetFakeDb, respond } = await import('./fakeDb.js');
+const { markDatabaseDown, checkDatabaseHealth } = await import('../src/storage.js');
+const { enqueueOutbound, markOptOutConfirmation, startOutboxWorker } = await import('../src/outbox.js');
+const { suppressNumber } = await import('../src/suppression.js');
+const { runWithTenant } = await import('../src/tenants.js');
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const sentTo = (number) => sent.filter(p => p.number === number);
+
+test('despedida no banco vira a confirmação de opt-out', async () => {
+  resetFakeDb();
+  respond(sql => (sql.includes('SET opt_out_confirmation = true') ? { rowCount: 1 } : null));
+  assert.equal(await markOptOutConfirmation('11'), true);
+  assert.deepEqual(queriesMatching('SET opt_out_confirmation = true')[0].params, [11]);
+
+  // Já cancelada/em dead-letter: quem chamou manda a confirmação padrão
+  respond(() => null);
+  assert.equal(await markOptOutConfirmation(12), false);
+});
+
+test('fila em memória: despedida marcada sai mesmo com o número suprimido', async () => {
+  markDatabaseDown(new Error('teste'));
+  startOutboxWorker();
+  await runWithTenant(null, async () => {
+    // Sem marcar: suprimido depois de enfileirar, a mensagem é cancelada
+    await enqueueOutbound('5511900000001', 'text', { text: 'Qualquer coisa' }, { paced: false });
+    await suppressNumber('5511900000001', { source: 'model' });
+
+    const id = await enqueueOutbound('5511900000002', 'text', { text: 'Tudo bem, tchau!' }, { paced: false });
+    assert.equal(await markOptOutConfirmation(id), true);
+    await suppressNumber('5511900000002', { source: 'model' });
+  });
+  for (let i = 0; i < 50 && !sentTo('5511900000002').length; i++) await wait(100);
+  assert.deepEqual(sentTo('5511900000002').map(p => p.text), ['Tudo bem, tchau!']);
+  assert.equal(sentTo('5511900000001').length, 0);
+  await checkDatabaseHealth(); // volta ao "banco" falso
+});
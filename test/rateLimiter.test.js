@@ -0,0 +1,28 @@
+import './env.js';
+import { queriesMatching, resetFakeDb, respond } from './fakeDb.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { waitForOpeningSlot } from '../src/rateLimiter.js';
+import { markDatabaseDown, checkDatabaseHealth } from '../src/storage.js';
+
+test('horário de abertura além de maxWaitMs não é reservado', async () => {
+  resetFakeDb();
+  // ON CONFLICT ... WHERE não casou: nenhuma linha volta
+  assert.equal(await waitForOpeningSlot({ maxWaitMs: 300000 }), false);
+  const [reserve] = queriesMatching('INSERT INTO rate_limit_buckets');
+  assert.equal(reserve.params[2], 300);
+});
+
+test('horário livre dentro do limite é reservado', async () => {
+  resetFakeDb();
+  respond(sql => (sql.includes('INSERT INTO rate_limit_buckets') ? { rows: [{ wait_ms: 0 }] } : null));
+  assert.equal(await waitForOpeningSlot({ maxWaitMs: 300000 }), true);
+  resetFakeDb();
+});
+
+test('sem banco, a segunda abertura imediata fica sem horário', async () => {
+  markDatabaseDown(new Error('teste'));
+  assert.equal(await waitForOpeningSlot({ maxWaitMs: 0 }), true);
+  assert.equal(await waitForOpeningSlot({ maxWaitMs: 0 }), false);
+  await checkDatabaseHealth(); // volta ao "banco" falso
+});
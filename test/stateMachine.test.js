@@ -0,0 +1,38 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { STAGES, inferStageFromUserText } from '../src/stateMachine.js';
+
+const exploring = { stage: STAGES.EXPLORING };
+const stageFor = (text, state = exploring) => inferStageFromUserText(state, text)?.stage ?? null;
+
+test('recusas claras encerram como CLOSED_REJECTED', () => {
+  for (const text of ['não', 'Não, obrigado!', 'nao tenho interesse', 'Sem interesse, valeu', 'não me interessa.']) {
+    assert.equal(stageFor(text), STAGES.CLOSED_REJECTED, text);
+  }
+});
+
+test('"agora não" com pedido de retorno não encerra', () => {
+  assert.equal(stageFor('agora nao posso, me chama amanha'), null);
+  assert.equal(stageFor('Agora não dá, outro momento a gente conversa'), null);
+  assert.equal(stageFor('não quero pagar caro, quanto custa?'), null);
+});
+
+test('já ter fornecedor só encerra quando é a resposta inteira', () => {
+  assert.equal(stageFor('Já temos fornecedor.'), STAGES.CLOSED_RESOLVED);
+  assert.equal(stageFor('já temos fornecedor, mas quero ver'), null);
+});
+
+test('pedido de e-mail fica para o modelo (update_lead)', () => {
+  assert.equal(stageFor('me manda por e-mail'), null);
+});
+
+test('e-mail recebido em WAITING_EMAIL volta para EXPLORING', () => {
+  const decision = inferStageFromUserText({ stage: STAGES.WAITING_EMAIL }, 'é joao@empresa.com.br');
+  assert.equal(decision.stage, STAGES.EXPLORING);
+  assert.deepEqual(decision.patch, { email: 'joao@empresa.com.br' });
+});
+
+test('lead encerrado que volta a escrever reabre a conversa', () => {
+  assert.equal(stageFor('agora nao posso, me chama amanha', { stage: STAGES.CLOSED_REJECTED }), STAGES.EXPLORING);
+});
@@ -0,0 +1,31 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectOptOut } from '../src/suppression.js';
+
+test('pedidos de saída', () => {
+  for (const text of [
+    'SAIR',
+    'Para de me mandar mensagem',
+    'não me mande mais nada',
+    'Por favor não me chame mais',
+    'não quero mais receber isso',
+    'nao quero receber mensagens',
+    'me tira da lista',
+    'remove meu número, obrigado',
+  ]) {
+    assert.equal(detectOptOut(text), true, text);
+  }
+});
+
+test('pedidos sobre o formato não são opt-out', () => {
+  for (const text of [
+    'não me manda áudio, prefiro texto',
+    'nao me mande video agora, estou no trabalho',
+    'não quero receber ligação, só mensagem',
+    'pode parar o vídeo?',
+    'vou sair pra almoçar e já te respondo',
+  ]) {
+    assert.equal(detectOptOut(text), false, text);
+  }
+});
@@ -0,0 +1,75 @@
+import './env.js';
+import { respond, resetFakeDb } from './fakeDb.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveWebhookTenant, DEFAULT_TENANT_ID } from '../src/tenants.js';
+import { markDatabaseDown, checkDatabaseHealth } from '../src/storage.js';
+
+const ACME = { id: 'acme', name: 'Acme', uazapi_token: 'acme-token', active: true, media: {}, settings: {} };
+
+/** Banco falso: tenants cadastrados e resultado do lookup por token/instância */
+function tenantsDb({ rows = [ACME], others = true } = {}) {
+  respond((sql, params) => {
+    if (sql.includes('AS others')) {
+      const hit = rows.find(r => params[0].includes(r.uazapi_token) || params[0].includes(r.instance_id));
+      return { rows: [{ id: hit?.id || null, others }] };
+    }
+    if (sql.includes('SELECT * FROM tenants WHERE id')) return { rows: rows.filter(r => r.id === params[0]) };
+    return null;
+  });
+}
+
+const payload = (token) => ({ token, message: { text: 'oi' } });
+
+test('token de outra instância desconhecida não cai no tenant padrão', async () => {
+  resetFakeDb();
+  tenantsDb();
+  assert.equal(await resolveWebhookTenant({ raw: payload('token-de-ninguem') }), null);
+});
+
+test('instância conhecida resolve o tenant dela', async () => {
+  resetFakeDb();
+  tenantsDb();
+  assert.equal((await resolveWebhookTenant({ raw: payload('acme-token') })).id, 'acme');
+});
+
+test('payload sem identificador ou com o token do .env usa o padrão', async () => {
+  resetFakeDb();
+  tenantsDb();
+  assert.equal((await resolveWebhookTenant({ raw: { message: { text: 'oi' } } })).id, DEFAULT_TENANT_ID);
+  assert.equal((await resolveWebhookTenant({ raw: payload(process.env.UAZAPI_TOKEN) })).id, DEFAULT_TENANT_ID);
+});
+
+test('deploy com um tenant só aceita identificador desconhecido', async () => {
+  resetFakeDb();
+  tenantsDb({ rows: [], others: false });
+  assert.equal((await resolveWebhookTenant({ raw: payload('outro-token') })).id, DEFAULT_TENANT_ID);
+});
+
+test('tenant inativo é recusado', async () => {
+  resetFakeDb();
+  tenantsDb({ rows: [{ ...ACME, id: 'inativo', uazapi_token: 'inativo-token', active: false }] });
+  assert.equal(await resolveWebhookTenant({ raw: payload('inativo-token') }), null);
+});
+
+test('falha no lookup responde 503 em vez de usar o padrão', async () => {
+  resetFakeDb();
+  respond(sql => {
+    if (sql.includes('AS others')) throw Object.assign(new Error('relation "tenants" is locked'), { code: '55P03' });
+    return null;
+  });
+  await assert.rejects(resolveWebhookTenant({ raw: payload('acme-token') }), { status: 503 });
+});
+
+test('banco fora: só tenants em cache; o resto é 503', async () => {
+  resetFakeDb();
+  tenantsDb();
+  await resolveWebhookTenant({ raw: payload('acme-token') }); // carrega acme no cache
+  markDatabaseDown(new Error('teste'));
+  try {
+    assert.equal((await resolveWebhookTenant({ raw: payload('acme-token') })).id, 'acme');
+    await assert.rejects(resolveWebhookTenant({ raw: payload('token-de-ninguem') }), { status: 503 });
+  } finally {
+    await checkDatabaseHealth();
+  }
+});
@@ -0,0 +1,14 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { webhookMessageId } from '../src/webhookGuard.js';
+
+test('usa o id da própria mensagem', () => {
+  assert.equal(webhookMessageId({ message: { messageid: '3EB0C431D2A1B2C3', chatid: '5511@s.whatsapp.net' } }), '3EB0C431D2A1B2C3');
+  assert.equal(webhookMessageId({ body: { data: { message: { key: { id: 'ABCDEF123456' } } } } }), 'ABCDEF123456');
+});
+
+test('sem id da mensagem não usa o id do chat nem do evento', () => {
+  const raw = { id: 'evt-123456789', chat: { id: 'r1a2b3c4d5e6f7' }, message: { text: 'oi', sender: { id: 'x' } } };
+  assert.equal(webhookMessageId(raw), null);
+});